@@ -0,0 +1,35 @@
+const { Pool } = require('pg');
+const { instrumentPool } = require('../utils/db');
+const { logger } = require('../utils/logger');
+
+// Shared application database for data that is not tied to one provider
+// (currency rates, ...). Defaults to the 12go database.
+let corePool = null;
+
+const getCorePool = () => {
+  if (!corePool) {
+    const connectionString = process.env.CORE_DATABASE_URL || process.env.DATABASE_URL;
+    if (!connectionString) {
+      throw new Error('CORE_DATABASE_URL or DATABASE_URL must be set');
+    }
+    corePool = instrumentPool(new Pool({ connectionString, max: 5 }), 'core');
+    corePool.on('error', (err) => {
+      logger.error('❌ Unexpected error on core PostgreSQL client', err);
+    });
+  }
+  return corePool;
+};
+
+const closeCorePool = async () => {
+  if (!corePool) return;
+  const pool = corePool;
+  corePool = null;
+  await pool.end()
+    .then(() => logger.info('✅ core pool closed'))
+    .catch(err => logger.error('❌ Error closing core pool', err));
+};
+
+module.exports = {
+  getCorePool,
+  closeCorePool
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const { Pool } = require('pg');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+const { instrumentPool } = require('../utils/db');
+const { ApiError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Built-in providers. Each entry names the env variable holding its connection
+// string so the defaults keep working with the existing .env files.
+const DEFAULT_PROVIDERS = [
+  {
+    name: '12go',
+    connectionEnv: 'DATABASE_URL',
+    table: 'trips',
+    displayName: '12Go',
+    defaultCurrency: 'THB'
+  },
+  {
+    name: 'bookaway',
+    connectionEnv: 'BOOKAWAY_URL',
+    table: 'bookaway_trips',
+    displayName: 'Bookaway',
+    defaultCurrency: 'THB'
+  },
+  {
+    name: 'omio',
+    connectionEnv: 'OMIO_URL',
+    table: 'omio_trips',
+    displayName: 'Omio',
+    defaultCurrency: 'THB'
+  }
+];
+
+const DEFAULT_POOL_SIZE = 10;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5;
+const CIRCUIT_COOLDOWN_MS = parseInt(process.env.CIRCUIT_COOLDOWN_MS, 10) || 30000;
+// Providers answering slower than this are reported as degraded
+const PROVIDER_SLOW_MS = parseInt(process.env.PROVIDER_SLOW_MS, 10) || 5000;
+const IDENTIFIER_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*(\.[a-zA-Z_][a-zA-Z0-9_]*)?$/;
+
+// Read provider definitions from PROVIDERS_CONFIG (inline JSON) or
+// PROVIDERS_FILE (path to a JSON file), falling back to the defaults above
+const loadProviderConfig = () => {
+  if (process.env.PROVIDERS_CONFIG) {
+    return JSON.parse(process.env.PROVIDERS_CONFIG);
+  }
+  if (process.env.PROVIDERS_FILE) {
+    return JSON.parse(fs.readFileSync(process.env.PROVIDERS_FILE, 'utf8'));
+  }
+  return DEFAULT_PROVIDERS;
+};
+
+const normalizeProvider = (entry) => {
+  if (!entry || !entry.name) {
+    throw new Error('Provider config entries must have a name');
+  }
+
+  const name = String(entry.name).trim().toLowerCase();
+  const table = entry.table || 'trips';
+
+  // Table names are interpolated into SQL, so only allow plain identifiers
+  if (!IDENTIFIER_PATTERN.test(table)) {
+    throw new Error(`Invalid table name "${table}" for provider ${name}`);
+  }
+
+  return {
+    name,
+    table,
+    displayName: entry.displayName || entry.name,
+    defaultCurrency: (entry.defaultCurrency || 'THB').toUpperCase(),
+    connectionString: entry.connectionString || process.env[entry.connectionEnv],
+    poolSize: parseInt(entry.poolSize, 10) || DEFAULT_POOL_SIZE
+  };
+};
+
+const providers = [];
+
+for (const entry of loadProviderConfig()) {
+  const provider = normalizeProvider(entry);
+
+  if (!provider.connectionString) {
+    logger.warn(`⚠️  Provider ${provider.name} has no connection string configured, skipping`);
+    continue;
+  }
+  if (providers.some(p => p.name === provider.name)) {
+    throw new Error(`Duplicate provider name: ${provider.name}`);
+  }
+
+  provider.pool = instrumentPool(new Pool({
+    connectionString: provider.connectionString,
+    max: provider.poolSize
+  }), provider.name);
+  provider.breaker = createCircuitBreaker({
+    failureThreshold: CIRCUIT_FAILURE_THRESHOLD,
+    cooldownMs: CIRCUIT_COOLDOWN_MS
+  });
+  providers.push(provider);
+}
+
+const getProviders = () => providers;
+
+const getProviderNames = () => providers.map(p => p.name);
+
+const getProvider = (name) => {
+  if (!name) return undefined;
+  const key = String(name).trim().toLowerCase();
+  return providers.find(p => p.name === key);
+};
+
+// Resolve a comma-separated provider list (e.g. "12go,bookaway") into provider
+// entries, ignoring unknown names. An empty value selects every provider.
+const resolveProviders = (value) => {
+  if (!value) return providers;
+  const names = String(value).split(',').map(p => p.trim().toLowerCase());
+  return providers.filter(p => names.includes(p.name));
+};
+
+// Errors of the query itself (bad data, constraints, SQL), queries cancelled
+// by the statement timeout of their cost class (57014) and request errors mean
+// the database answered, so they don't count against the circuit
+const isProviderFailure = (error) =>
+  !(error instanceof ApiError) &&
+  !(typeof error.code === 'string' && (/^(22|23|42)/.test(error.code) || error.code === '57014'));
+
+// Run fn(provider) through the provider's circuit breaker. While the circuit
+// is open it fails fast with a 503 instead of waiting on a broken database.
+const callProvider = async (provider, fn) => {
+  if (!provider.breaker.tryAcquire()) {
+    throw new ApiError(503, `Provider ${provider.name} is unavailable (circuit open)`, {
+      code: 'PROVIDER_UNAVAILABLE',
+      headers: { 'Retry-After': String(provider.breaker.retryAfterSeconds()) }
+    });
+  }
+
+  try {
+    const result = await fn(provider);
+    provider.breaker.onSuccess();
+    return result;
+  } catch (error) {
+    if (isProviderFailure(error)) {
+      provider.breaker.onFailure(error);
+      if (provider.breaker.snapshot().state === 'open') {
+        logger.error(`⚡ Circuit for ${provider.name} is open`, { error: error.message });
+      }
+    } else {
+      provider.breaker.onSuccess();
+    }
+    throw error;
+  }
+};
+
+// Run fn for every given provider in parallel and key the results by name.
+// Fails as a whole when any provider fails.
+const mapProviders = async (list, fn) => {
+  const entries = await Promise.all(
+    list.map(async provider => [provider.name, await callProvider(provider, fn)])
+  );
+  return Object.fromEntries(entries);
+};
+
+// Like mapProviders, but a failing provider only drops its own results:
+// { results: { [name]: value } of the providers that answered,
+//   status: { [name]: { status: 'ok' | 'degraded' | 'failed', duration_ms, error? } } }
+// degraded means answered slower than PROVIDER_SLOW_MS. Throws a 503 when no
+// provider answered.
+const settleProviders = async (list, fn) => {
+  const settled = await Promise.all(list.map(async provider => {
+    const startedAt = Date.now();
+    try {
+      const value = await callProvider(provider, fn);
+      const durationMs = Date.now() - startedAt;
+      return { provider, value, status: { status: durationMs > PROVIDER_SLOW_MS ? 'degraded' : 'ok', duration_ms: durationMs } };
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        logger.error(`Error querying ${provider.name}`, error);
+      } else if (error.code !== 'PROVIDER_UNAVAILABLE') {
+        throw error;
+      }
+      return { provider, status: { status: 'failed', duration_ms: Date.now() - startedAt, error: error.message } };
+    }
+  }));
+
+  const status = Object.fromEntries(settled.map(entry => [entry.provider.name, entry.status]));
+  if (settled.length > 0 && settled.every(entry => entry.status.status === 'failed')) {
+    throw new ApiError(503, 'No provider database could answer', {
+      code: 'PROVIDERS_UNAVAILABLE',
+      details: { provider_status: status }
+    });
+  }
+
+  return {
+    results: Object.fromEntries(settled.filter(entry => 'value' in entry).map(entry => [entry.provider.name, entry.value])),
+    status
+  };
+};
+
+// Overall status of a settleProviders status block
+const overallStatus = (status) => {
+  const values = Object.values(status).map(entry => entry.status);
+  if (values.every(value => value === 'ok')) return 'ok';
+  return values.every(value => value === 'failed') ? 'failed' : 'degraded';
+};
+
+// Whether every provider answered, i.e. the results are complete and may be
+// cached
+const allAnswered = (status) => Object.values(status).every(entry => entry.status !== 'failed');
+
+// Status block for results served from the cache, which only holds results
+// every provider answered
+const cachedStatus = (list) => Object.fromEntries(list.map(p => [p.name, { status: 'ok', cached: true }]));
+
+const closeAll = () => Promise.all(
+  providers.map(provider =>
+    provider.pool.end()
+      .then(() => logger.info(`✅ ${provider.name} pool closed`))
+      .catch(err => logger.error(`❌ Error closing ${provider.name} pool`, err))
+  )
+);
+
+module.exports = {
+  PROVIDER_SLOW_MS,
+  getProviders,
+  getProviderNames,
+  getProvider,
+  resolveProviders,
+  callProvider,
+  mapProviders,
+  settleProviders,
+  overallStatus,
+  allAnswered,
+  cachedStatus,
+  closeAll
+};
@@ -0,0 +1,243 @@
+require('dotenv').config();
+const fs = require('fs');
+const { getProvider, getProviderNames, closeAll } = require('./config/providers');
+const { closeCorePool } = require('./config/database');
+const { invalidateTags, providerTags, closeCache } = require('./utils/cache');
+const { parseTimestamp } = require('./utils/parsers');
+const { FORMATS } = require('./utils/recordReaders');
+const { importFile, TRIP_COLUMNS, MAX_BATCH_SIZE } = require('./services/importer');
+const { listRuns, rollbackRun, dedupeTrips, moveTrips } = require('./services/importRuns');
+const { pendingMigrations } = require('./services/migrations');
+const { classifyProviderTrips } = require('./services/transportTypes');
+const { flushDeliveries } = require('./services/priceAlerts');
+
+const USAGE = `Usage:
+  node import.js <provider> <file> [options]   Import a scrape file
+  node import.js runs <provider> [--limit=20]  List recent import runs
+  node import.js rollback <provider> <run-id> [--force]
+                                               Undo the inserts and updates of a run
+  node import.js dedupe <provider>             Remove duplicate trips from older imports
+  node import.js classify <provider>           Re-classify every trip's transport type
+  node import.js move <provider> --from=<provider>
+                                               Move the provider's trips out of another provider's
+                                               table in the same database (e.g. omio out of trips)
+
+Streams a JSON array, NDJSON or CSV scrape into the provider's trips table,
+upserting on (provider, route_url, departure_time, operator).
+
+Options:
+  --format=<${FORMATS.join('|')}>  Input format (default: detected from the file extension)
+  --batch-size=<n>          Rows per INSERT (default: 400, at most ${MAX_BATCH_SIZE})
+  --scraped-at=<date>       When the scrape was taken; stored in the price history and used to
+                            pick currency rates (default: file modification time)
+  --dry-run                 Validate only and print a report of rejected rows
+  --force                   Roll back even if later runs touched the same table
+  --from=<provider>         Provider whose table holds the trips to move`;
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+  for (const arg of argv) {
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--force') args.force = true;
+    else if (arg.startsWith('--limit=')) args.limit = parseInt(arg.slice('--limit='.length), 10);
+    else if (arg.startsWith('--from=')) args.from = arg.slice('--from='.length);
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--format=')) args.format = arg.slice('--format='.length).toLowerCase();
+    else if (arg.startsWith('--batch-size=')) {
+      const value = arg.slice('--batch-size='.length);
+      args.batchSize = parseInt(value, 10);
+      if (!/^\d+$/.test(value) || args.batchSize < 1 || args.batchSize > MAX_BATCH_SIZE) {
+        throw new Error(`--batch-size must be a whole number from 1 to ${MAX_BATCH_SIZE}`);
+      }
+    }
+    else if (arg.startsWith('--scraped-at=')) args.scrapedAt = arg.slice('--scraped-at='.length);
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else args.positional.push(arg);
+  }
+  return args;
+};
+
+const printReport = (report) => {
+  console.log(`\n📋 ${report.dryRun ? 'Dry run' : 'Import'} report for ${report.provider} (${report.file})`);
+  console.log(`  Scraped at:       ${report.scrapedAt}`);
+  console.log(`  Records read:     ${report.total}`);
+  console.log(`  Valid:            ${report.valid}`);
+  console.log(`  Rejected:         ${report.rejected}`);
+  if (!report.dryRun) {
+    console.log(`  Run ID:           ${report.runId}`);
+    console.log(`  Inserted:         ${report.inserted} into ${report.table}`);
+    console.log(`  Updated:          ${report.updated}`);
+    console.log(`  Unchanged:        ${report.unchanged}`);
+    console.log(`  Duplicates:       ${report.duplicates} (same trip repeated in the file)`);
+    console.log(`  Price alerts:     ${report.alerts}`);
+  }
+  console.log(`  Elapsed:          ${report.elapsedSeconds}s`);
+
+  const reasons = Object.entries(report.rejectReasons).sort((a, b) => b[1] - a[1]);
+  if (reasons.length > 0) {
+    console.log('\n  Reject reasons:');
+    reasons.forEach(([reason, count]) => console.log(`    ${count}\t${reason}`));
+  }
+
+  const unmapped = Object.entries(report.unmappedLocations).sort((a, b) => b[1] - a[1]);
+  if (unmapped.length > 0) {
+    console.log(`\n  Locations without a canonical mapping (${unmapped.length}, see /api/admin/locations/unmapped):`);
+    unmapped.slice(0, 10).forEach(([name, count]) => console.log(`    ${count}\t${name}`));
+  }
+
+  if (report.dryRun && report.rejectedRows.length > 0) {
+    console.log(`\n  Rejected rows (first ${report.rejectedRows.length}):`);
+    report.rejectedRows.forEach(({ index, reasons: rowReasons, record }) => {
+      console.log(`    #${index}: ${rowReasons.join('; ')}`);
+      if (record) console.log(`      ${JSON.stringify(record)}`);
+    });
+  }
+};
+
+const requireProvider = (name) => {
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}". Configured providers: ${getProviderNames().join(', ')}`);
+  }
+  return provider;
+};
+
+const commands = {
+  runs: async (args, [providerName]) => {
+    const provider = requireProvider(providerName);
+    const runs = await listRuns(provider.pool, provider.name, args.limit > 0 ? args.limit : undefined);
+    if (runs.length === 0) {
+      console.log(`No import runs recorded for ${provider.name}`);
+      return;
+    }
+    console.table(runs.map(run => ({
+      id: run.id,
+      status: run.status,
+      file: run.file,
+      inserted: run.inserted_rows,
+      updated: run.updated_rows,
+      unchanged: run.unchanged_rows,
+      duplicates: run.duplicate_rows,
+      rejected: run.rejected_rows,
+      started: run.started_at.toISOString(),
+      finished: run.finished_at ? run.finished_at.toISOString() : null
+    })));
+  },
+
+  rollback: async (args, [providerName, runId]) => {
+    const provider = requireProvider(providerName);
+    if (!parseInt(runId, 10)) {
+      throw new Error('rollback needs a numeric run id');
+    }
+    const result = await rollbackRun(
+      provider.pool,
+      { provider: provider.name, table: provider.table, columns: TRIP_COLUMNS },
+      parseInt(runId, 10),
+      { force: Boolean(args.force) }
+    );
+    await invalidateTags(providerTags([provider]));
+    console.log(`✅ Rolled back run ${result.runId}: deleted ${result.deleted} trips, restored ${result.restored} trips`);
+  },
+
+  dedupe: async (args, [providerName]) => {
+    const provider = requireProvider(providerName);
+    const removed = await dedupeTrips(provider.pool, provider.table);
+    if (removed > 0) await invalidateTags(providerTags([provider]));
+    console.log(`✅ Removed ${removed} duplicate trips from ${provider.table}`);
+  },
+
+  classify: async (args, [providerName]) => {
+    const provider = requireProvider(providerName);
+    const changed = await classifyProviderTrips(provider, { all: true });
+    if (changed > 0) await invalidateTags(providerTags([provider]));
+    console.log(`✅ Re-classified the transport type of ${changed} trips in ${provider.table}`);
+  },
+
+  move: async (args, [providerName]) => {
+    const provider = requireProvider(providerName);
+    if (!args.from) {
+      throw new Error('move needs --from=<provider>, the provider whose table holds the trips');
+    }
+    const from = requireProvider(args.from);
+    if (from.table === provider.table || from.connectionString !== provider.connectionString) {
+      throw new Error(
+        `${provider.name} and ${from.name} must use different tables in the same database to move trips. ` +
+        `Point ${provider.name}'s connection at ${from.name}'s database first.`
+      );
+    }
+    const pending = await pendingMigrations(provider);
+    if (pending.length > 0) {
+      throw new Error(
+        `${provider.table} has pending migrations (${pending.join(', ')}). ` +
+        `Run "npm run migrate -- up ${provider.name}" first.`
+      );
+    }
+    const result = await moveTrips(provider.pool, {
+      from: { name: from.name, table: from.table },
+      to: { name: provider.name, table: provider.table },
+      columns: TRIP_COLUMNS,
+      sourceProvider: provider.name
+    });
+    if (result.moved > 0) await invalidateTags(providerTags([provider, from]));
+    console.log(
+      `✅ Moved ${result.moved} ${provider.name} trips from ${from.table} to ${provider.table} ` +
+      `(run ${result.runId}, ${result.moved - result.inserted} already there)`
+    );
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (commands[args.positional[0]]) {
+    const [command, ...rest] = args.positional;
+    if (!rest[0]) {
+      console.log(USAGE);
+      process.exitCode = 1;
+      return;
+    }
+    await commands[command](args, rest);
+    return;
+  }
+
+  const [providerName, filePath] = args.positional;
+
+  if (args.help || !providerName || !filePath) {
+    console.log(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  const provider = requireProvider(providerName);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  if (args.format && !FORMATS.includes(args.format)) {
+    throw new Error(`Unsupported format "${args.format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+  if (args.scrapedAt && !parseTimestamp(args.scrapedAt)) {
+    throw new Error(`Invalid --scraped-at date: ${args.scrapedAt}`);
+  }
+
+  const report = await importFile({
+    provider,
+    filePath,
+    format: args.format,
+    scrapedAt: args.scrapedAt,
+    dryRun: Boolean(args.dryRun),
+    batchSize: args.batchSize,
+    onProgress: ({ valid, inserted, updated, unchanged, duplicates }) => {
+      if (!args.dryRun) console.log(`Progress: ${inserted + updated + unchanged + duplicates}/${valid} records imported`);
+    }
+  });
+
+  printReport(report);
+};
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  // Alert webhooks of the import are still being delivered
+  .finally(() => flushDeliveries().then(() => Promise.all([closeAll(), closeCorePool(), closeCache()])));
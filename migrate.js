@@ -0,0 +1,93 @@
+require('dotenv').config();
+const { getProviders, getProvider, getProviderNames, closeAll } = require('./config/providers');
+const { migrationStatus, migrateUp, migrateDown } = require('./services/migrations');
+
+const USAGE = `Usage:
+  node migrate.js status [provider...]            List applied and pending migrations
+  node migrate.js up [provider...] [--to=N]       Apply pending migrations (up to version N)
+  node migrate.js down <provider...> [--steps=N | --to=N]
+                                                  Revert the last N migrations (default 1)
+                                                  or every migration above version N
+
+Migrations live in migrations/ and are applied to every provider's trips
+table; status and up default to all configured providers. Imports refuse to
+run while their provider has pending migrations.`;
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+  for (const arg of argv) {
+    if (arg.startsWith('--to=')) args.to = parseInt(arg.slice('--to='.length), 10);
+    else if (arg.startsWith('--steps=')) args.steps = parseInt(arg.slice('--steps='.length), 10);
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else args.positional.push(arg);
+  }
+  return args;
+};
+
+const resolveProviderArgs = (names) => {
+  if (names.length === 0) return getProviders();
+  return names.map(name => {
+    const provider = getProvider(name);
+    if (!provider) {
+      throw new Error(`Unknown provider "${name}". Configured providers: ${getProviderNames().join(', ')}`);
+    }
+    return provider;
+  });
+};
+
+const commands = {
+  status: async (args, providers) => {
+    for (const provider of providers) {
+      const migrations = await migrationStatus(provider);
+      console.log(`\n📋 ${provider.name} (${provider.table})`);
+      console.table(migrations.map(({ version, name, applied_at }) => ({
+        version,
+        name,
+        applied: applied_at ? applied_at.toISOString() : 'pending'
+      })));
+    }
+  },
+
+  up: async (args, providers) => {
+    if (args.to !== undefined && !(args.to > 0)) throw new Error('--to must be a positive version');
+    for (const provider of providers) {
+      const applied = await migrateUp(provider, { to: args.to });
+      console.log(applied.length > 0
+        ? `✅ ${provider.name}: applied ${applied.join(', ')}`
+        : `✅ ${provider.name}: up to date`);
+    }
+  },
+
+  down: async (args, providers) => {
+    if (args.steps !== undefined && !(args.steps > 0)) throw new Error('--steps must be a positive number');
+    if (args.to !== undefined && !(args.to >= 0)) throw new Error('--to must be a version or 0');
+    for (const provider of providers) {
+      const reverted = await migrateDown(provider, { steps: args.steps, to: args.to });
+      console.log(reverted.length > 0
+        ? `✅ ${provider.name}: reverted ${reverted.join(', ')}`
+        : `✅ ${provider.name}: nothing to revert`);
+    }
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, ...names] = args.positional;
+
+  // Reverting drops columns and data, so it never defaults to every provider
+  if (args.help || !commands[command] || (command === 'down' && names.length === 0)) {
+    console.log(USAGE);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  await commands[command](args, resolveProviderArgs(names));
+};
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => closeAll());
@@ -0,0 +1,44 @@
+// The trips table as the importer and the API read it. Tables that existed
+// before migrations are adopted: missing columns are added, data is kept, and
+// reverting leaves them in place. Only a table created here is dropped.
+
+const COLUMNS = [
+  ['route_url', 'TEXT'],
+  ['origin', 'TEXT'],
+  ['destination', 'TEXT'],
+  ['departure_time', 'TIMESTAMP'],
+  ['arrival_time', 'TIMESTAMP'],
+  ['transport_type', 'TEXT'],
+  ['duration_min', 'INTEGER'],
+  ['price', 'NUMERIC'],
+  ['price_inr', 'NUMERIC'],
+  ['currency', 'TEXT'],
+  ['travel_date', 'DATE'],
+  ['operator_name', 'TEXT'],
+  ['provider', 'TEXT']
+];
+
+module.exports = {
+  name: 'create trips table',
+
+  up: async (client, { table }) => {
+    const existing = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [table]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ${table} (
+        id SERIAL PRIMARY KEY,
+        ${COLUMNS.map(([column, type]) => `${column} ${type}`).join(',\n        ')}
+      )
+    `);
+    await client.query(`
+      ALTER TABLE ${table}
+        ${COLUMNS.map(([column, type]) => `ADD COLUMN IF NOT EXISTS ${column} ${type}`).join(',\n        ')}
+    `);
+    return { created: !existing.rows[0].exists };
+  },
+
+  down: async (client, { table, state }) => {
+    if (state && state.created) {
+      await client.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
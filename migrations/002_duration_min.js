@@ -0,0 +1,36 @@
+// Durations are stored in duration_min, which the importer writes and the API
+// sorts by. Older tables have duration_minutes instead; 001 adds an empty
+// duration_min next to it, so the old values are merged in and the old column
+// dropped. A table still lacking duration_min gets the old column renamed.
+
+const columnsOf = async (client, table) => {
+  const result = await client.query(
+    `SELECT attname FROM pg_attribute
+     WHERE attrelid = $1::regclass AND attnum > 0 AND NOT attisdropped`,
+    [table]
+  );
+  return result.rows.map(row => row.attname);
+};
+
+module.exports = {
+  name: 'store durations in duration_min',
+
+  up: async (client, { table }) => {
+    const columns = await columnsOf(client, table);
+    if (!columns.includes('duration_minutes')) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS duration_min INTEGER`);
+    } else if (!columns.includes('duration_min')) {
+      await client.query(`ALTER TABLE ${table} RENAME COLUMN duration_minutes TO duration_min`);
+    } else {
+      await client.query(
+        `UPDATE ${table} SET duration_min = duration_minutes
+         WHERE duration_min IS NULL AND duration_minutes IS NOT NULL`
+      );
+      await client.query(`ALTER TABLE ${table} DROP COLUMN duration_minutes`);
+    }
+  },
+
+  // duration_min belongs to 001, so it stays; the merged duration_minutes
+  // column is not brought back
+  down: async () => {}
+};
@@ -0,0 +1,39 @@
+// Columns the importer fills besides the scraped values: when the trip was
+// last scraped, its canonical locations and its transport taxonomy
+
+const indexName = (table, suffix) => `${table.replace('.', '_')}_${suffix}`;
+
+module.exports = {
+  name: 'add scrape, location and transport columns',
+
+  up: async (client, { table }) => {
+    await client.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN IF NOT EXISTS scraped_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS origin_location_id INTEGER,
+        ADD COLUMN IF NOT EXISTS origin_city_id INTEGER,
+        ADD COLUMN IF NOT EXISTS destination_location_id INTEGER,
+        ADD COLUMN IF NOT EXISTS destination_city_id INTEGER,
+        ADD COLUMN IF NOT EXISTS transport_mode TEXT,
+        ADD COLUMN IF NOT EXISTS transport_class TEXT,
+        ADD COLUMN IF NOT EXISTS transport_multimodal BOOLEAN
+    `);
+    await client.query(`CREATE INDEX IF NOT EXISTS ${indexName(table, 'origin_city_idx')} ON ${table} (origin_city_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS ${indexName(table, 'destination_city_idx')} ON ${table} (destination_city_id)`);
+    await client.query(`CREATE INDEX IF NOT EXISTS ${indexName(table, 'transport_mode_idx')} ON ${table} (transport_mode)`);
+  },
+
+  down: async (client, { table }) => {
+    await client.query(`
+      ALTER TABLE ${table}
+        DROP COLUMN IF EXISTS scraped_at,
+        DROP COLUMN IF EXISTS origin_location_id,
+        DROP COLUMN IF EXISTS origin_city_id,
+        DROP COLUMN IF EXISTS destination_location_id,
+        DROP COLUMN IF EXISTS destination_city_id,
+        DROP COLUMN IF EXISTS transport_mode,
+        DROP COLUMN IF EXISTS transport_class,
+        DROP COLUMN IF EXISTS transport_multimodal
+    `);
+  }
+};
@@ -0,0 +1,32 @@
+// Unique index on the columns that identify a trip across re-imports; the
+// importer upserts on it (NATURAL_KEY in services/importRuns.js)
+
+const indexName = (table) => `${table.replace('.', '_')}_natural_key`;
+// Indexes live in the schema of their table
+const qualifiedIndexName = (table) =>
+  `${table.includes('.') ? `${table.split('.')[0]}.` : ''}${indexName(table)}`;
+
+module.exports = {
+  name: 'add natural key for upserts',
+
+  up: async (client, { table }) => {
+    try {
+      await client.query(
+        `CREATE UNIQUE INDEX IF NOT EXISTS ${indexName(table)}
+         ON ${table} (provider, route_url, departure_time, (COALESCE(operator_name, '')))`
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error(
+          `${table} already contains duplicate trips, so the upsert key cannot be created. ` +
+          'Run "node import.js dedupe <provider>" first.'
+        );
+      }
+      throw error;
+    }
+  },
+
+  down: async (client, { table }) => {
+    await client.query(`DROP INDEX IF EXISTS ${qualifiedIndexName(table)}`);
+  }
+};
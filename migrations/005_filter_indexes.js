@@ -0,0 +1,30 @@
+// Indexes behind the trip filters: route and date (the exact origin and
+// destination filters of combined trips; case-insensitive matches use the
+// index of 008), operator, and price (price sorting and metrics)
+
+const INDEXES = [
+  ['route_date_idx', 'origin, destination, travel_date'],
+  ['operator_name_idx', 'operator_name'],
+  ['price_inr_idx', 'price_inr']
+];
+
+const indexName = (table, suffix) => `${table.replace('.', '_')}_${suffix}`;
+// Indexes live in the schema of their table
+const qualifiedIndexName = (table, suffix) =>
+  `${table.includes('.') ? `${table.split('.')[0]}.` : ''}${indexName(table, suffix)}`;
+
+module.exports = {
+  name: 'add route, operator and price indexes',
+
+  up: async (client, { table }) => {
+    for (const [suffix, columns] of INDEXES) {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${indexName(table, suffix)} ON ${table} (${columns})`);
+    }
+  },
+
+  down: async (client, { table }) => {
+    for (const [suffix] of INDEXES) {
+      await client.query(`DROP INDEX IF EXISTS ${qualifiedIndexName(table, suffix)}`);
+    }
+  }
+};
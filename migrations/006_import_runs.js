@@ -0,0 +1,76 @@
+// Bookkeeping tables of the importer in the provider database: import_runs
+// with the row counts of every run, import_run_changes to roll a run back and
+// price_observations, the price history of every trip a run read. Providers
+// sharing a database share these tables, so reverting only deletes this
+// table's runs and drops the tables once no runs are left.
+
+module.exports = {
+  name: 'create import run and price history tables',
+
+  up: async (client) => {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS import_runs (
+        id SERIAL PRIMARY KEY,
+        provider TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        file TEXT NOT NULL,
+        format TEXT,
+        status TEXT NOT NULL DEFAULT 'running',
+        total_rows INTEGER NOT NULL DEFAULT 0,
+        inserted_rows INTEGER NOT NULL DEFAULT 0,
+        updated_rows INTEGER NOT NULL DEFAULT 0,
+        unchanged_rows INTEGER NOT NULL DEFAULT 0,
+        duplicate_rows INTEGER NOT NULL DEFAULT 0,
+        rejected_rows INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at TIMESTAMPTZ,
+        rolled_back_at TIMESTAMPTZ
+      );
+
+      ALTER TABLE import_runs ADD COLUMN IF NOT EXISTS duplicate_rows INTEGER NOT NULL DEFAULT 0;
+
+      CREATE TABLE IF NOT EXISTS import_run_changes (
+        id BIGSERIAL PRIMARY KEY,
+        run_id INTEGER NOT NULL REFERENCES import_runs(id) ON DELETE CASCADE,
+        trip_id BIGINT NOT NULL,
+        action TEXT NOT NULL,
+        previous JSONB
+      );
+
+      CREATE INDEX IF NOT EXISTS import_run_changes_run_id_idx ON import_run_changes (run_id);
+
+      CREATE TABLE IF NOT EXISTS price_observations (
+        id BIGSERIAL PRIMARY KEY,
+        trip_id BIGINT NOT NULL,
+        run_id INTEGER NOT NULL REFERENCES import_runs(id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        origin TEXT,
+        destination TEXT,
+        travel_date DATE,
+        departure_time TIMESTAMP,
+        operator_name TEXT,
+        transport_type TEXT,
+        price NUMERIC,
+        price_inr NUMERIC,
+        currency TEXT,
+        scraped_at TIMESTAMPTZ NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS price_observations_route_idx
+        ON price_observations (provider, LOWER(origin), LOWER(destination), scraped_at);
+      CREATE INDEX IF NOT EXISTS price_observations_origin_destination_idx
+        ON price_observations (LOWER(origin), LOWER(destination), scraped_at);
+      CREATE INDEX IF NOT EXISTS price_observations_run_id_idx ON price_observations (run_id);
+      CREATE INDEX IF NOT EXISTS price_observations_trip_id_idx ON price_observations (trip_id);
+    `);
+  },
+
+  down: async (client, { table }) => {
+    await client.query('DELETE FROM import_runs WHERE table_name = $1', [table]);
+    const remaining = await client.query('SELECT EXISTS (SELECT 1 FROM import_runs) AS exists');
+    if (!remaining.rows[0].exists) {
+      await client.query('DROP TABLE price_observations, import_run_changes, import_runs');
+    }
+  }
+};
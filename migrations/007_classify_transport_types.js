@@ -0,0 +1,15 @@
+const { classifyProviderTrips } = require('../services/transportTypes');
+
+// Classify trips imported before the transport columns of 003 existed. The
+// importer classifies every trip it writes, so this backfill runs once.
+
+module.exports = {
+  name: 'classify existing transport types',
+
+  up: async (client, { table }) => {
+    await classifyProviderTrips({ pool: client, table });
+  },
+
+  // The classification is derived data; 003's down drops the columns
+  down: async () => {}
+};
@@ -0,0 +1,22 @@
+// Case-insensitive route index: compare, price alerts, the metrics summary
+// and price history match origin and destination with LOWER(), which the
+// plain route index of 005 cannot serve
+
+const indexName = (table) => `${table.replace('.', '_')}_route_lower_date_idx`;
+// Indexes live in the schema of their table
+const qualifiedIndexName = (table) =>
+  `${table.includes('.') ? `${table.split('.')[0]}.` : ''}${indexName(table)}`;
+
+module.exports = {
+  name: 'add case-insensitive route index',
+
+  up: async (client, { table }) => {
+    await client.query(
+      `CREATE INDEX IF NOT EXISTS ${indexName(table)} ON ${table} (LOWER(origin), LOWER(destination), travel_date)`
+    );
+  },
+
+  down: async (client, { table }) => {
+    await client.query(`DROP INDEX IF EXISTS ${qualifiedIndexName(table)}`);
+  }
+};
@@ -0,0 +1,31 @@
+// Indexes behind the journey search, which reads the departures from a set
+// of stops within a time window: by canonical city, and by the normalized
+// name of places without one
+
+const { NAME_KEY_SQL } = require('../services/journeys');
+
+const INDEXES = [
+  ['origin_city_departure_idx', 'origin_city_id, departure_time'],
+  ['origin_key_departure_idx', `(${NAME_KEY_SQL('origin')}), departure_time`]
+];
+
+const indexName = (table, suffix) => `${table.replace('.', '_')}_${suffix}`;
+// Indexes live in the schema of their table
+const qualifiedIndexName = (table, suffix) =>
+  `${table.includes('.') ? `${table.split('.')[0]}.` : ''}${indexName(table, suffix)}`;
+
+module.exports = {
+  name: 'add journey search indexes',
+
+  up: async (client, { table }) => {
+    for (const [suffix, columns] of INDEXES) {
+      await client.query(`CREATE INDEX IF NOT EXISTS ${indexName(table, suffix)} ON ${table} (${columns})`);
+    }
+  },
+
+  down: async (client, { table }) => {
+    for (const [suffix] of INDEXES) {
+      await client.query(`DROP INDEX IF EXISTS ${qualifiedIndexName(table, suffix)}`);
+    }
+  }
+};
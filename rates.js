@@ -0,0 +1,63 @@
+require('dotenv').config();
+const { closeCorePool } = require('./config/database');
+const { normalizeCurrency, setRate, listRates } = require('./services/currency');
+const { parseDate } = require('./utils/parsers');
+
+const USAGE = `Usage:
+  node rates.js list
+  node rates.js set <BASE> <QUOTE> <rate> [--date=YYYY-MM-DD] [--source=text]
+
+A rate means 1 BASE = <rate> QUOTE from --date (default: today) until the next
+rate for the same pair, e.g. "node rates.js set THB INR 2.32 --date=2025-01-01".`;
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+  for (const arg of argv) {
+    if (arg.startsWith('--date=')) args.date = arg.slice('--date='.length);
+    else if (arg.startsWith('--source=')) args.source = arg.slice('--source='.length);
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else args.positional.push(arg);
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, ...rest] = args.positional;
+
+  if (command === 'list') {
+    const rates = await listRates();
+    if (rates.length === 0) {
+      console.log('No currency rates recorded');
+      return;
+    }
+    console.table(rates);
+    return;
+  }
+
+  if (command === 'set' && rest.length === 3) {
+    const base = normalizeCurrency(rest[0]);
+    const quote = normalizeCurrency(rest[1]);
+    const rate = parseFloat(rest[2]);
+    const date = args.date ? parseDate(args.date) : parseDate(new Date());
+
+    if (!base || !quote) throw new Error('Currencies must be 3-letter ISO codes');
+    if (!(rate > 0)) throw new Error('Rate must be a positive number');
+    if (!date) throw new Error(`Invalid --date: ${args.date}`);
+
+    await setRate({ base, quote, rate, date, source: args.source });
+    console.log(`✅ 1 ${base} = ${rate} ${quote} from ${date}`);
+    return;
+  }
+
+  console.log(USAGE);
+  process.exitCode = args.help ? 0 : 1;
+};
+
+main()
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => closeCorePool());
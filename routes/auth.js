@@ -0,0 +1,63 @@
+const express = require('express');
+const { ApiError } = require('../utils/errors');
+const { validate } = require('../utils/validation');
+const { signToken, requireRole } = require('../utils/auth');
+const { authenticatePassword, createApiKey, listApiKeys, revokeApiKey } = require('../services/users');
+
+const router = express.Router();
+
+// Exchange email and password for a JWT
+router.post('/login', validate({
+  body: {
+    email: { type: 'string', required: true },
+    password: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  const { email, password } = req.valid;
+  const user = await authenticatePassword(email, password);
+  if (!user) {
+    throw new ApiError(401, 'Invalid email or password', { code: 'UNAUTHORIZED' });
+  }
+
+  res.json({
+    success: true,
+    ...signToken(user),
+    user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Everything below acts on the authenticated user
+router.use(requireRole('viewer'));
+
+router.get('/me', (req, res) => {
+  res.json({ success: true, user: req.user, timestamp: new Date().toISOString() });
+});
+
+router.get('/keys', async (req, res) => {
+  res.json({ success: true, data: await listApiKeys(req.user.id), timestamp: new Date().toISOString() });
+});
+
+// The plain key is only part of this response
+router.post('/keys', validate({
+  body: {
+    name: { type: 'string' },
+    expires_in_days: { type: 'integer', min: 1, max: 3650 }
+  }
+}), async (req, res) => {
+  const { name, expires_in_days } = req.valid;
+  const key = await createApiKey(req.user.id, { name, expiresInDays: expires_in_days });
+  res.status(201).json({ success: true, data: key, timestamp: new Date().toISOString() });
+});
+
+router.delete('/keys/:id', validate({
+  params: { id: { type: 'integer', min: 1 } }
+}), async (req, res) => {
+  const { id } = req.valid;
+  if (!(await revokeApiKey(id, req.user.id))) {
+    throw new ApiError(404, `API key ${id} not found`, { code: 'NOT_FOUND' });
+  }
+  res.json({ success: true, revoked: id, timestamp: new Date().toISOString() });
+});
+
+module.exports = router;
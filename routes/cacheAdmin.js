@@ -0,0 +1,59 @@
+const express = require('express');
+const { getCacheStats, purgeCache, invalidateTags } = require('../utils/cache');
+const { DEFAULT_WARM_ROUTES, warmCache } = require('../services/cacheWarmup');
+const { validate } = require('../utils/validation');
+
+const router = express.Router();
+
+// Hit ratio of this instance, and entry counts of the shared cache by key prefix
+router.get('/stats', async (req, res) => {
+  res.json({
+    success: true,
+    ...(await getCacheStats()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Purge by exact key, key prefix (a trailing * is optional, e.g.
+// combined_trips_*) or tag (provider:<name>, table:<table>)
+router.delete('/', validate({
+  query: {
+    key: { type: 'string', maxLength: 2000 },
+    prefix: { type: 'string' },
+    tag: { type: 'string' }
+  },
+  check: ({ key, prefix, tag }) => (
+    [key, prefix, tag].filter(value => value !== undefined).length === 1
+      ? null
+      : { key: 'provide exactly one of key, prefix or tag' }
+  )
+}), async (req, res) => {
+  const { key, prefix, tag } = req.valid;
+
+  let removed;
+  if (key !== undefined) {
+    removed = await purgeCache({ key });
+  } else if (prefix !== undefined) {
+    removed = await purgeCache({ prefix: prefix.replace(/\*$/, '') });
+  } else {
+    removed = await invalidateTags([tag]);
+  }
+
+  res.json({ success: true, removed, timestamp: new Date().toISOString() });
+});
+
+// Pre-compute filters, transport types and metrics of the most popular routes
+router.post('/warm', validate({
+  query: { routes: { type: 'integer', min: 0, max: 200, default: DEFAULT_WARM_ROUTES } }
+}), async (req, res) => {
+  const result = await warmCache({ routes: req.valid.routes });
+  res.json({
+    success: true,
+    entries: result.entries,
+    routes: result.routes,
+    elapsed_seconds: result.elapsedSeconds,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const {
+  settleProviders,
+  overallStatus,
+  allAnswered,
+  cachedStatus,
+  getProviderNames
+} = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+const { resolveCurrency } = require('../utils/request');
+const { validate } = require('../utils/validation');
+const {
+  DEFAULT_TOLERANCE_MINUTES,
+  DEFAULT_MIN_SIMILARITY,
+  matchTrips,
+  comparePrices
+} = require('../services/tripMatcher');
+
+const router = express.Router();
+
+// Upper bound of candidate trips read per provider for one comparison;
+// comparisons that hit it are flagged as truncated
+const MAX_CANDIDATES = 5000;
+
+// { trips, truncated } with the earliest MAX_CANDIDATES departures
+async function getCandidateTrips(pool, tableName, filters) {
+  const params = [];
+  const conditions = ['departure_time IS NOT NULL', 'price_inr IS NOT NULL'];
+
+  if (filters.origin) {
+    params.push(filters.origin);
+    conditions.push(`LOWER(origin) = LOWER($${params.length})`);
+  }
+
+  if (filters.destination) {
+    params.push(filters.destination);
+    conditions.push(`LOWER(destination) = LOWER($${params.length})`);
+  }
+
+  if (filters.travelDate) {
+    params.push(filters.travelDate);
+    conditions.push(`travel_date = $${params.length}`);
+  }
+
+  if (filters.transportType) {
+    params.push(filters.transportType);
+    conditions.push(`LOWER(transport_type) = LOWER($${params.length})`);
+  }
+
+  params.push(MAX_CANDIDATES + 1);
+  const rows = await safeQuery(
+    pool,
+    `SELECT id, origin, destination, departure_time, arrival_time,
+            operator_name, transport_type, price_inr, route_url
+     FROM ${tableName}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY departure_time
+     LIMIT $${params.length}`,
+    params
+  );
+  return { trips: rows.slice(0, MAX_CANDIDATES), truncated: rows.length > MAX_CANDIDATES };
+}
+
+// Matched departures across providers with per-provider prices, the cheapest
+// provider and the price gap between the cheapest and dearest offer
+router.get('/', validate({
+  query: {
+    origin: { type: 'string' },
+    destination: { type: 'string' },
+    travel_date: { type: 'date' },
+    transport_type: { type: 'string' },
+    provider: { type: 'providers' },
+    tolerance_minutes: { type: 'integer', min: 0, max: 720, default: DEFAULT_TOLERANCE_MINUTES },
+    min_similarity: { type: 'number', min: 0, max: 1, default: DEFAULT_MIN_SIMILARITY },
+    sort_by: { type: 'enum', values: ['departure_time', 'price_gap', 'price_gap_percent'], default: 'departure_time' },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+    currency: { type: 'currency', default: 'INR' }
+  },
+  check: ({ origin, destination, travel_date, provider }) => {
+    if (!travel_date && !(origin && destination)) {
+      return { travel_date: 'is required unless both origin and destination are given' };
+    }
+    if (provider.length < 2) {
+      return { provider: `select at least two providers from: ${getProviderNames().join(', ')}` };
+    }
+    return null;
+  }
+}), async (req, res) => {
+  const {
+    origin,
+    destination,
+    travel_date: travelDate,
+    transport_type,
+    provider: selectedProviders,
+    tolerance_minutes: toleranceMinutes,
+    min_similarity: minSimilarity,
+    sort_by,
+    page: pageNum,
+    limit: limitNum,
+    currency
+  } = req.valid;
+
+  const target = await resolveCurrency(currency);
+
+  const filters = { origin, destination, travelDate, transportType: transport_type };
+  const cacheKey = `comparison_${JSON.stringify({
+    ...filters,
+    toleranceMinutes,
+    minSimilarity,
+    providers: selectedProviders.map(p => p.name)
+  })}`;
+
+  let comparison = await getFromCache(cacheKey);
+  let status = cachedStatus(selectedProviders);
+  if (!comparison) {
+    const settled = await settleProviders(selectedProviders, ({ pool, table }) =>
+      getCandidateTrips(pool, table, filters)
+    );
+    status = settled.status;
+    const candidates = Object.values(settled.results);
+    const tripsByProvider = Object.fromEntries(
+      Object.entries(settled.results).map(([name, { trips }]) => [name, trips])
+    );
+
+    const matches = matchTrips(tripsByProvider, { toleranceMinutes, minSimilarity }).map(group => {
+      const trips = Object.values(group.trips);
+      const prices = Object.fromEntries(
+        Object.entries(group.trips).map(([name, trip]) => [name, parseFloat(trip.price_inr)])
+      );
+      const first = trips.reduce((a, b) => (new Date(a.departure_time) <= new Date(b.departure_time) ? a : b));
+
+      return {
+        origin: first.origin,
+        destination: first.destination,
+        departure_time: first.departure_time,
+        operator_name: first.operator_name,
+        transport_type: first.transport_type,
+        match_score: Math.round(group.similarity * 100) / 100,
+        departure_spread_minutes: group.departureSpreadMinutes,
+        providers: Object.fromEntries(
+          Object.entries(group.trips).map(([name, trip]) => [name, {
+            trip_id: trip.id,
+            price: prices[name],
+            departure_time: trip.departure_time,
+            operator_name: trip.operator_name,
+            route_url: trip.route_url
+          }])
+        ),
+        ...comparePrices(prices)
+      };
+    });
+
+    comparison = { matches, truncated: candidates.some(result => result.truncated) };
+    if (allAnswered(status)) {
+      await setInCache(cacheKey, comparison, { tags: providerTags(selectedProviders) });
+    }
+  }
+  const { matches, truncated } = comparison;
+
+  const sorted = [...matches].sort((a, b) => {
+    if (sort_by === 'departure_time') {
+      return new Date(a.departure_time) - new Date(b.departure_time);
+    }
+    return (b[sort_by] || 0) - (a[sort_by] || 0);
+  });
+
+  const offset = (pageNum - 1) * limitNum;
+  const data = sorted.slice(offset, offset + limitNum).map(match => ({
+    ...match,
+    providers: Object.fromEntries(
+      Object.entries(match.providers).map(([name, offer]) => [name, {
+        ...offer,
+        price: target.convert(offer.price)
+      }])
+    ),
+    price_gap: target.convert(match.price_gap)
+  }));
+
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    currency: target.currency,
+    data,
+    total: matches.length,
+    truncated,
+    page: pageNum,
+    limit: limitNum,
+    totalPages: Math.ceil(matches.length / limitNum),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
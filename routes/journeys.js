@@ -0,0 +1,85 @@
+const express = require('express');
+const { overallStatus } = require('../config/providers');
+const { resolveCurrency } = require('../utils/request');
+const { validate } = require('../utils/validation');
+const { MAX_LEGS, SORTS, findJourneys } = require('../services/journeys');
+
+const router = express.Router();
+
+// Direct trips and connections with up to max_legs legs from origin to
+// destination, the first leg departing on travel_date. Transfers wait between
+// min_connection and max_connection minutes; with mix_providers=false every
+// leg comes from the same provider.
+router.get('/', validate({
+  query: {
+    origin: { type: 'string', required: true },
+    destination: { type: 'string', required: true },
+    travel_date: { type: 'date', required: true },
+    max_legs: { type: 'integer', min: 1, max: MAX_LEGS, default: 3 },
+    min_connection: { type: 'integer', min: 0, max: 24 * 60, default: 30 },
+    max_connection: { type: 'integer', min: 0, max: 48 * 60, default: 6 * 60 },
+    mix_providers: { type: 'boolean', default: true },
+    provider: { type: 'providers' },
+    sort_by: { type: 'enum', values: Object.keys(SORTS), default: 'price' },
+    limit: { type: 'integer', min: 1, max: 100, default: 20 },
+    currency: { type: 'currency', default: 'INR' }
+  },
+  check: ({ origin, destination, min_connection, max_connection }) => {
+    if (origin.trim().toLowerCase() === destination.trim().toLowerCase()) {
+      return { destination: 'must differ from origin' };
+    }
+    if (min_connection > max_connection) {
+      return { max_connection: 'must not be less than min_connection' };
+    }
+    return null;
+  }
+}), async (req, res) => {
+  const {
+    origin,
+    destination,
+    travel_date,
+    max_legs,
+    min_connection,
+    max_connection,
+    mix_providers,
+    provider: selectedProviders,
+    sort_by,
+    limit,
+    currency
+  } = req.valid;
+  const target = await resolveCurrency(currency);
+
+  const { total, truncated, journeys, status } = await findJourneys(selectedProviders, {
+    origin,
+    destination,
+    travelDate: travel_date,
+    maxLegs: max_legs,
+    minConnection: min_connection,
+    maxConnection: max_connection,
+    mixProviders: mix_providers,
+    sortBy: sort_by,
+    limit
+  });
+
+  // Cached journeys are in INR and converted per request
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    currency: target.currency,
+    sort_by,
+    total,
+    truncated,
+    data: journeys.map(journey => ({
+      ...journey,
+      total_price_converted: target.convert(journey.total_price_inr),
+      legs: journey.legs.map(leg => ({
+        ...leg,
+        price_converted: target.convert(parseFloat(leg.price_inr))
+      }))
+    })),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
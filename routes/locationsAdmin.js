@@ -0,0 +1,104 @@
+const express = require('express');
+const { ApiError } = require('../utils/errors');
+const { validate } = require('../utils/validation');
+const {
+  KINDS,
+  listLocations,
+  createLocation,
+  addLocationAliases,
+  remapLocations,
+  scheduleRemap,
+  listUnmappedLocations
+} = require('../services/locations');
+
+const router = express.Router();
+
+const COUNTRY = { type: 'string', maxLength: 2 };
+const checkCountry = ({ country }) => (
+  country !== undefined && !/^[A-Za-z]{2}$/.test(country) ? { country: 'must be a two-letter country code' } : null
+);
+
+// Canonical locations with their aliases
+router.get('/', validate({
+  query: {
+    kind: { type: 'enum', values: KINDS },
+    country: COUNTRY,
+    q: { type: 'string' }
+  },
+  check: checkCountry
+}), async (req, res) => {
+  const { kind, country, q } = req.valid;
+  const locations = await listLocations({ kind, country: country && country.toUpperCase(), q });
+  res.json({ success: true, data: locations, timestamp: new Date().toISOString() });
+});
+
+// Raw origin/destination names of trips without a canonical location, most
+// frequent first
+router.get('/unmapped', validate({
+  query: {
+    provider: { type: 'providers' },
+    limit: { type: 'integer', min: 1, max: 1000, default: 100 }
+  }
+}), async (req, res) => {
+  const { provider: providers, limit } = req.valid;
+  const { total, names } = await listUnmappedLocations({ providers, limit });
+  res.json({ success: true, total, data: names, timestamp: new Date().toISOString() });
+});
+
+// Create a city, or a station with city_id. Trips are remapped in the
+// background; `remapping` tells whether a pass was started.
+router.post('/', validate({
+  body: {
+    name: { type: 'string', required: true },
+    kind: { type: 'enum', values: KINDS, default: 'city' },
+    city_id: { type: 'integer', min: 1 },
+    country: COUNTRY,
+    code: { type: 'string', maxLength: 20 },
+    aliases: { type: 'list', maxItems: 200 }
+  },
+  check: (valid) => {
+    if (valid.kind === 'station' && !valid.city_id) return { city_id: 'is required for stations' };
+    if (valid.kind === 'city' && valid.city_id) return { city_id: 'is only allowed for stations' };
+    return checkCountry(valid);
+  }
+}), async (req, res) => {
+  const { name, kind, city_id, country, code, aliases } = req.valid;
+  const location = await createLocation({
+    name,
+    kind,
+    cityId: city_id,
+    country: country && country.toUpperCase(),
+    code,
+    aliases
+  });
+  scheduleRemap();
+
+  res.status(201).json({ success: true, data: location, remapping: true, timestamp: new Date().toISOString() });
+});
+
+// Map more raw names to a location, e.g. from /unmapped. An alias of another
+// location moves to this one. Trips are remapped in the background.
+router.post('/:id/aliases', validate({
+  params: { id: { type: 'integer', min: 1 } },
+  body: { aliases: { type: 'list', required: true, maxItems: 200 } }
+}), async (req, res) => {
+  const { id, aliases } = req.valid;
+  const changed = await addLocationAliases(id, aliases);
+  if (changed === null) {
+    throw new ApiError(404, `Location ${id} not found`, { code: 'NOT_FOUND' });
+  }
+  if (changed.length > 0) scheduleRemap();
+
+  res.json({ success: true, added: changed, remapping: changed.length > 0, timestamp: new Date().toISOString() });
+});
+
+// Re-resolve all trips, e.g. after upgrading or editing the tables directly.
+// Waits for the pass and reports the changed trips per provider.
+router.post('/remap', validate({
+  query: { provider: { type: 'providers' } }
+}), async (req, res) => {
+  const remapped = await remapLocations(req.valid.provider);
+  res.json({ success: true, remapped, timestamp: new Date().toISOString() });
+});
+
+module.exports = router;
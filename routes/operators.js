@@ -0,0 +1,60 @@
+const express = require('express');
+const { overallStatus } = require('../config/providers');
+const { resolveCurrency } = require('../utils/request');
+const { validate } = require('../utils/validation');
+const { TRIP_FILTER_QUERY, checkDateRange, parseTripFilters } = require('../utils/tripFilters');
+const { SORT_COLUMNS, getOperatorStats } = require('../services/operatorStats');
+
+const router = express.Router();
+
+// Every operator with its route coverage, departures, prices, how often it is
+// the cheapest on a route/day and its share of departures, per provider
+router.get('/', validate({
+  query: {
+    ...TRIP_FILTER_QUERY,
+    provider: { type: 'providers' },
+    sort_by: { type: 'enum', values: Object.keys(SORT_COLUMNS), default: 'departures' },
+    sort_order: { type: 'enum', values: ['ASC', 'DESC'], default: 'DESC' },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 500, default: 50 },
+    currency: { type: 'currency', default: 'INR' }
+  },
+  check: checkDateRange
+}), async (req, res) => {
+  const { provider: selectedProviders, sort_by, sort_order, page, limit, currency } = req.valid;
+  const target = await resolveCurrency(currency);
+
+  const { results: stats, status } = await getOperatorStats(selectedProviders, parseTripFilters(req.valid), {
+    sortBy: sort_by,
+    sortOrder: sort_order,
+    page,
+    limit
+  });
+
+  // Cached prices are in INR and converted per request
+  const convert = (price) => (price === null ? null : target.convert(price));
+  const data = Object.fromEntries(Object.entries(stats).map(([name, { total, operators }]) => [name, {
+    total,
+    totalPages: Math.ceil(total / limit),
+    operators: operators.map(operator => ({
+      ...operator,
+      avg_price: convert(operator.avg_price),
+      min_price: convert(operator.min_price)
+    }))
+  }]));
+
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    currency: target.currency,
+    sort_by,
+    sort_order,
+    page,
+    limit,
+    data,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,147 @@
+const express = require('express');
+const { settleProviders, overallStatus, allAnswered, cachedStatus } = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+const { resolveCurrency } = require('../utils/request');
+const { validate } = require('../utils/validation');
+
+const router = express.Router();
+
+// Min/avg/max price per scrape for one provider. Observations belong to the
+// provider through the import runs of its table, whatever provider their
+// source rows name. Providers that have not been imported with price history
+// yet simply return an empty series.
+async function getPriceHistory(pool, table, filters) {
+  const params = [table, filters.origin, filters.destination];
+  const conditions = [
+    'run_id IN (SELECT id FROM import_runs WHERE table_name = $1)',
+    'LOWER(origin) = LOWER($2)',
+    'LOWER(destination) = LOWER($3)'
+  ];
+
+  if (filters.travelDate) {
+    params.push(filters.travelDate);
+    conditions.push(`travel_date = $${params.length}`);
+  }
+
+  if (filters.operator) {
+    params.push(filters.operator);
+    conditions.push(`LOWER(operator_name) = LOWER($${params.length})`);
+  }
+
+  if (filters.transportType) {
+    params.push(filters.transportType);
+    conditions.push(`LOWER(transport_type) = LOWER($${params.length})`);
+  }
+
+  try {
+    const rows = await safeQuery(
+      pool,
+      `SELECT
+        scraped_at,
+        COUNT(*) AS observations,
+        MIN(price_inr) AS min_price,
+        AVG(price_inr) AS avg_price,
+        MAX(price_inr) AS max_price
+      FROM price_observations
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY scraped_at
+      ORDER BY scraped_at`,
+      params
+    );
+
+    return rows.map(row => ({
+      scraped_at: row.scraped_at,
+      observations: parseInt(row.observations, 10),
+      min_price: parseFloat(row.min_price),
+      avg_price: parseFloat(row.avg_price),
+      max_price: parseFloat(row.max_price)
+    }));
+  } catch (error) {
+    if (error.code === '42P01') return []; // price_observations not created yet
+    throw error;
+  }
+}
+
+// Price timeline of a route across scrapes, per provider. Providers that fail
+// are reported in provider_status and left out of data.
+router.get('/:origin/:destination/price-history', validate({
+  params: {
+    origin: { type: 'string' },
+    destination: { type: 'string' }
+  },
+  query: {
+    travel_date: { type: 'date' },
+    operator: { type: 'string' },
+    transport_type: { type: 'string' },
+    provider: { type: 'providers' },
+    currency: { type: 'currency', default: 'INR' }
+  }
+}), async (req, res) => {
+  const {
+    origin,
+    destination,
+    travel_date: travelDate,
+    operator,
+    transport_type,
+    provider: selectedProviders,
+    currency
+  } = req.valid;
+
+  const target = await resolveCurrency(currency);
+
+  const filters = {
+    origin,
+    destination,
+    travelDate,
+    operator,
+    transportType: transport_type
+  };
+
+  const cacheKey = `price_history_${JSON.stringify({
+    ...filters,
+    providers: selectedProviders.map(p => p.name)
+  })}`;
+
+  let history = await getFromCache(cacheKey);
+  let status = cachedStatus(selectedProviders);
+  if (!history) {
+    ({ results: history, status } = await settleProviders(selectedProviders, ({ pool, table }) =>
+      getPriceHistory(pool, table, filters)
+    ));
+    if (allAnswered(status)) {
+      await setInCache(cacheKey, history, { tags: providerTags(selectedProviders) });
+    }
+  }
+
+  // Cached series are in INR and converted per request
+  const data = Object.fromEntries(
+    Object.entries(history).map(([name, series]) => [
+      name,
+      series.map(point => ({
+        ...point,
+        min_price: target.convert(point.min_price),
+        avg_price: target.convert(Math.round(point.avg_price * 100) / 100),
+        max_price: target.convert(point.max_price)
+      }))
+    ])
+  );
+
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    origin,
+    destination,
+    currency: target.currency,
+    filters: {
+      travel_date: travelDate || null,
+      operator: operator || null,
+      transport_type: transport_type || null
+    },
+    data,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
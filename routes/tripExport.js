@@ -0,0 +1,57 @@
+const express = require('express');
+const { logger } = require('../utils/logger');
+const { resolveCurrency } = require('../utils/request');
+const { validate } = require('../utils/validation');
+const { TRIP_FILTER_QUERY, checkDateRange, parseTripFilters } = require('../utils/tripFilters');
+const { SORT_COLUMNS } = require('../services/combinedTrips');
+const { EXPORT_COLUMNS, DEFAULT_COLUMNS, FORMATS, exportTrips } = require('../services/tripExport');
+
+const router = express.Router();
+
+// Every trip matching the /api/combined-trips filters, in its sort order, as
+// a CSV or XLSX download. Not cached; rows are streamed as they are read.
+router.get('/', validate({
+  query: {
+    ...TRIP_FILTER_QUERY,
+    provider: { type: 'providers' },
+    format: { type: 'enum', values: Object.keys(FORMATS), default: 'csv' },
+    columns: {
+      type: 'list',
+      items: { type: 'enum', values: Object.keys(EXPORT_COLUMNS) },
+      default: DEFAULT_COLUMNS
+    },
+    sort_by: { type: 'enum', values: Object.keys(SORT_COLUMNS), default: 'departure_time' },
+    sort_order: { type: 'enum', values: ['ASC', 'DESC'], default: 'ASC' },
+    currency: { type: 'currency', default: 'INR' }
+  },
+  check: checkDateRange
+}), async (req, res) => {
+  const { provider: selectedProviders, format, columns, sort_by, sort_order, currency } = req.valid;
+  const target = await resolveCurrency(currency);
+  const { contentType, extension } = FORMATS[format];
+  const startedAt = Date.now();
+
+  const rows = await exportTrips(res, selectedProviders, parseTripFilters(req.valid), {
+    format,
+    columns: [...new Set(columns)],
+    sortBy: sort_by,
+    sortOrder: sort_order,
+    convert: target.convert,
+    onStart: () => {
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="trips-${new Date().toISOString().slice(0, 10)}.${extension}"`,
+        'X-Currency': target.currency
+      });
+    }
+  });
+
+  const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+  if (res.destroyed && !res.writableFinished) {
+    logger.warn('⚠️ Trip export aborted by the client', { rows });
+  } else {
+    logger.info(`📤 Exported ${rows} trips as ${format} in ${seconds}s`, { rows, format });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const { ApiError } = require('../utils/errors');
+const { validate } = require('../utils/validation');
+const {
+  ROLES,
+  createUser,
+  listUsers,
+  getUser,
+  updateUser,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey
+} = require('../services/users');
+
+const router = express.Router();
+
+const ID = { id: { type: 'integer', min: 1 } };
+const PASSWORD = { type: 'string', maxLength: 200 };
+
+const checkUser = ({ email, password }) => {
+  if (email !== undefined && !/^[^\s@]+@[^\s@]+$/.test(email)) return { email: 'must be an email address' };
+  if (password !== undefined && password.length < 8) return { password: 'must be at least 8 characters' };
+  return null;
+};
+
+const notFound = (what, id) => new ApiError(404, `${what} ${id} not found`, { code: 'NOT_FOUND' });
+
+router.get('/', async (req, res) => {
+  res.json({ success: true, data: await listUsers(), timestamp: new Date().toISOString() });
+});
+
+// Users without a password can only use API keys, e.g. service accounts
+router.post('/', validate({
+  body: {
+    email: { type: 'string', required: true },
+    name: { type: 'string' },
+    password: PASSWORD,
+    role: { type: 'enum', values: ROLES, default: 'viewer' }
+  },
+  check: checkUser
+}), async (req, res) => {
+  const { email, name, password, role } = req.valid;
+  const user = await createUser({ email, name, password, role });
+  res.status(201).json({ success: true, data: user, timestamp: new Date().toISOString() });
+});
+
+// Change role, name or password, or deactivate; deactivated users' tokens and
+// keys stop working right away
+router.patch('/:id', validate({
+  params: ID,
+  body: {
+    name: { type: 'string' },
+    password: PASSWORD,
+    role: { type: 'enum', values: ROLES },
+    active: { type: 'boolean' }
+  },
+  check: (valid) => {
+    if (['name', 'password', 'role', 'active'].every(field => valid[field] === undefined)) {
+      return { role: 'give name, password, role or active' };
+    }
+    return checkUser(valid);
+  }
+}), async (req, res) => {
+  const { id, name, password, role, active } = req.valid;
+  if (id === req.user.id && (active === false || (role && role !== 'admin'))) {
+    throw new ApiError(400, 'Admins cannot demote or deactivate themselves', { code: 'BAD_REQUEST' });
+  }
+
+  const user = await updateUser(id, { name, password, role, active });
+  if (!user) throw notFound('User', id);
+  res.json({ success: true, data: user, timestamp: new Date().toISOString() });
+});
+
+router.get('/:id/keys', validate({ params: ID }), async (req, res) => {
+  const { id } = req.valid;
+  if (!(await getUser(id))) throw notFound('User', id);
+  res.json({ success: true, data: await listApiKeys(id), timestamp: new Date().toISOString() });
+});
+
+// Issue a key for another user, e.g. a service account; the plain key is only
+// part of this response
+router.post('/:id/keys', validate({
+  params: ID,
+  body: {
+    name: { type: 'string' },
+    expires_in_days: { type: 'integer', min: 1, max: 3650 }
+  }
+}), async (req, res) => {
+  const { id, name, expires_in_days } = req.valid;
+  if (!(await getUser(id))) throw notFound('User', id);
+  const key = await createApiKey(id, { name, expiresInDays: expires_in_days });
+  res.status(201).json({ success: true, data: key, timestamp: new Date().toISOString() });
+});
+
+router.delete('/:id/keys/:keyId', validate({
+  params: { ...ID, keyId: { type: 'integer', min: 1 } }
+}), async (req, res) => {
+  const { id, keyId } = req.valid;
+  if (!(await revokeApiKey(keyId, id))) throw notFound('API key', keyId);
+  res.json({ success: true, revoked: keyId, timestamp: new Date().toISOString() });
+});
+
+module.exports = router;
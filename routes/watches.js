@@ -0,0 +1,135 @@
+const express = require('express');
+const { ApiError } = require('../utils/errors');
+const { resolveCurrency } = require('../utils/request');
+const { checkDateRange } = require('../utils/tripFilters');
+const { validate } = require('../utils/validation');
+const { MODES } = require('../services/transportTypes');
+const {
+  createWatch,
+  listWatches,
+  getWatch,
+  setWatchActive,
+  deleteWatch,
+  listAlerts,
+  redeliverAlert,
+  evaluateWatches
+} = require('../services/priceAlerts');
+
+const router = express.Router();
+
+const ID = { id: { type: 'integer', min: 1 } };
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'skipped'];
+
+const notFound = (what, id) => new ApiError(404, `${what} ${id} not found`, { code: 'NOT_FOUND' });
+
+router.get('/', async (req, res) => {
+  res.json({ success: true, data: await listWatches(), timestamp: new Date().toISOString() });
+});
+
+// Watch a route for prices at or below max_price (in currency) and/or drops
+// of drop_percent between imports
+router.post('/', validate({
+  body: {
+    name: { type: 'string' },
+    origin: { type: 'string', required: true },
+    destination: { type: 'string', required: true },
+    start_date: { type: 'date' },
+    end_date: { type: 'date' },
+    operator_name: { type: 'string' },
+    transport_mode: { type: 'enum', values: MODES },
+    provider: { type: 'list', items: { type: 'provider' } },
+    max_price: { type: 'number', min: 0 },
+    currency: { type: 'currency', default: 'INR' },
+    drop_percent: { type: 'number', min: 0.1, max: 100 },
+    webhook_url: { type: 'string', maxLength: 2000 },
+    active: { type: 'boolean', default: true }
+  },
+  check: (valid) => {
+    if (valid.max_price === undefined && valid.drop_percent === undefined) {
+      return { max_price: 'give max_price, drop_percent or both' };
+    }
+    if (valid.webhook_url !== undefined && !/^https?:\/\/[^\s]+$/i.test(valid.webhook_url)) {
+      return { webhook_url: 'must be an http(s) URL' };
+    }
+    return checkDateRange(valid);
+  }
+}), async (req, res) => {
+  const valid = req.valid;
+  const target = await resolveCurrency(valid.currency);
+
+  const watch = await createWatch({
+    name: valid.name,
+    origin: valid.origin,
+    destination: valid.destination,
+    startDate: valid.start_date,
+    endDate: valid.end_date,
+    operatorName: valid.operator_name,
+    transportMode: valid.transport_mode,
+    providers: valid.provider && [...new Set(valid.provider.map(provider => provider.name))],
+    maxPrice: valid.max_price,
+    currency: target.currency,
+    dropPercent: valid.drop_percent,
+    webhookUrl: valid.webhook_url,
+    active: valid.active
+  });
+
+  res.status(201).json({ success: true, data: await getWatch(watch.id), timestamp: new Date().toISOString() });
+});
+
+// Evaluate every active watch now, e.g. after data was loaded outside the importer
+router.post('/evaluate', async (req, res) => {
+  const { evaluated, alerts } = await evaluateWatches();
+  res.json({ success: true, evaluated, alerts, timestamp: new Date().toISOString() });
+});
+
+// Alerts of all watches, newest first
+router.get('/alerts', validate({
+  query: {
+    status: { type: 'enum', values: DELIVERY_STATUSES },
+    limit: { type: 'integer', min: 1, max: 500, default: 50 }
+  }
+}), async (req, res) => {
+  const alerts = await listAlerts(req.valid);
+  res.json({ success: true, data: alerts, timestamp: new Date().toISOString() });
+});
+
+router.post('/alerts/:id/redeliver', validate({ params: ID }), async (req, res) => {
+  const status = await redeliverAlert(req.valid.id);
+  if (status === null) throw notFound('Alert', req.valid.id);
+  res.json({ success: true, delivery_status: status, timestamp: new Date().toISOString() });
+});
+
+router.get('/:id', validate({ params: ID }), async (req, res) => {
+  const watch = await getWatch(req.valid.id);
+  if (!watch) throw notFound('Watch', req.valid.id);
+  res.json({ success: true, data: watch, timestamp: new Date().toISOString() });
+});
+
+router.get('/:id/alerts', validate({
+  params: ID,
+  query: {
+    status: { type: 'enum', values: DELIVERY_STATUSES },
+    limit: { type: 'integer', min: 1, max: 500, default: 50 }
+  }
+}), async (req, res) => {
+  const { id, status, limit } = req.valid;
+  if (!(await getWatch(id))) throw notFound('Watch', id);
+  const alerts = await listAlerts({ watchId: id, status, limit });
+  res.json({ success: true, data: alerts, timestamp: new Date().toISOString() });
+});
+
+// Pause or resume a watch
+router.patch('/:id', validate({
+  params: ID,
+  body: { active: { type: 'boolean', required: true } }
+}), async (req, res) => {
+  if (!(await setWatchActive(req.valid.id, req.valid.active))) throw notFound('Watch', req.valid.id);
+  res.json({ success: true, data: await getWatch(req.valid.id), timestamp: new Date().toISOString() });
+});
+
+router.delete('/:id', validate({ params: ID }), async (req, res) => {
+  if (!(await deleteWatch(req.valid.id))) throw notFound('Watch', req.valid.id);
+  res.json({ success: true, timestamp: new Date().toISOString() });
+});
+
+module.exports = router;
@@ -1,144 +1,129 @@
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
 const dotenv = require('dotenv');
-const { LRUCache } = require('lru-cache');
 
 // Load environment variables
 dotenv.config();
 
+const {
+  getProviders,
+  getProviderNames,
+  settleProviders,
+  overallStatus,
+  allAnswered,
+  cachedStatus,
+  closeAll
+} = require('./config/providers');
+const { closeCorePool } = require('./config/database');
+const { getFromCache, setInCache, providerTags, closeCache } = require('./utils/cache');
+const { safeQuery } = require('./utils/db');
+const { resolveCurrency } = require('./utils/request');
+const priceHistoryRoutes = require('./routes/priceHistory');
+const compareRoutes = require('./routes/compare');
+const cacheAdminRoutes = require('./routes/cacheAdmin');
+const locationsAdminRoutes = require('./routes/locationsAdmin');
+const operatorRoutes = require('./routes/operators');
+const tripExportRoutes = require('./routes/tripExport');
+const journeyRoutes = require('./routes/journeys');
+const watchRoutes = require('./routes/watches');
+const authRoutes = require('./routes/auth');
+const usersAdminRoutes = require('./routes/usersAdmin');
+const { SORT_COLUMNS, getCombinedTrips } = require('./services/combinedTrips');
+const { TRIP_FILTER_QUERY, checkDateRange, parseTripFilters } = require('./utils/tripFilters');
+const { validate } = require('./utils/validation');
+const { authenticate, requireRole } = require('./utils/auth');
+const { rateLimit, limitAuthFailures } = require('./utils/rateLimit');
+const { logger, requestLogger } = require('./utils/logger');
+const { httpMetrics, getMetrics } = require('./utils/prometheus');
+const { notFoundHandler, errorHandler } = require('./utils/errors');
+const { GROUP_BY, DEFAULT_SUMMARY_LIMIT, getSummary, getMetric } = require('./services/metrics');
+const { getTransportTypes, getFilterOptions } = require('./services/filterOptions');
+const { DEFAULT_BUCKETS, getPriceDistribution } = require('./services/priceDistribution');
+const { INTERVALS, DATE_FIELDS, getTimeseries } = require('./services/timeseries');
+const { KINDS, getLocationTable, listLocations } = require('./services/locations');
+const { getHealth } = require('./services/health');
+const { pendingMigrations } = require('./services/migrations');
+const { MODES } = require('./services/transportTypes');
+
 // Handle uncaught exceptions
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught Exception', error);
   // Don't exit immediately, give time to log the error
   setTimeout(() => process.exit(1), 1000);
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled Rejection', { reason });
 });
 
 const app = express();
 const port = process.env.PORT || 5001; // Different port from server.js
 
-// Create connection pools for both providers
-const pools = {
-  '12go': new Pool({
-    connectionString: process.env.DATABASE_URL,
-    max: 10,
-  }),
-  'bookaway': new Pool({
-    connectionString: process.env.BOOKAWAY_URL,
-    max: 10,
-  })
-};
-
 // Test DB connections
-Object.entries(pools).forEach(([provider, pool]) => {
+getProviders().forEach(({ name: provider, pool }) => {
   pool.on('error', (err) => {
-    console.error(`❌ Unexpected error on ${provider} PostgreSQL client:`, err);
+    logger.error(`❌ Unexpected error on ${provider} PostgreSQL client`, err);
   });
   
   pool.connect((err, client, release) => {
     if (err) {
-      console.error(`❌ Error connecting to ${provider} PostgreSQL:`, err);
+      logger.error(`❌ Error connecting to ${provider} PostgreSQL`, err);
       // Don't exit, just log the error and continue
       return;
     }
-    console.log(`✅ ${provider} PostgreSQL connected successfully`);
+    logger.info(`✅ ${provider} PostgreSQL connected successfully`);
     release();
   });
 });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// LRU Cache settings
-const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
-const MAX_CACHE_ITEMS = 50;
-
-// Simple cache tracking
-let cacheStats = {
-  hits: 0,
-  misses: 0
-};
-
-// Initialize LRU cache with simplified configuration
-const lruCache = new LRUCache({
-  max: MAX_CACHE_ITEMS,
-  ttl: CACHE_DURATION
+// The API expects the trips tables at the latest migration
+getProviders().forEach(provider => {
+  pendingMigrations(provider)
+    .then(pending => {
+      if (pending.length > 0) {
+        logger.warn(`⚠️  ${provider.name} has pending migrations (${pending.join(', ')}), run "npm run migrate -- up"`);
+      }
+    })
+    .catch(err => logger.error(`❌ Could not check migrations of ${provider.name}`, err));
 });
 
-// Helper functions
-const safeStringify = (obj) => {
-  try {
-    return typeof obj === 'string' ? obj : JSON.stringify(obj);
-  } catch (e) {
-    console.error('Error stringifying cache value:', e);
-    return 'error';
-  }
-};
-
-const calculateSize = (value, key) => {
-  try {
-    const keyStr = safeStringify(key);
-    const valueStr = safeStringify(value);
-    return Buffer.byteLength(valueStr) + Buffer.byteLength(keyStr);
-  } catch (e) {
-    console.error('Error calculating cache size:', e);
-    return 0;
-  }
-};
+// Client IPs come from X-Forwarded-For only behind a trusted proxy, e.g.
+// TRUST_PROXY=1 for one load balancer
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
 
-// Cache management functions
-const getFromCache = (key) => {
-  try {
-    const cacheKey = safeStringify(key);
-    const value = lruCache.get(cacheKey);
-    if (value !== undefined) {
-      cacheStats.hits++;
-      console.log(`✅ Cache hit: ${cacheKey}`);
-    } else {
-      cacheStats.misses++;
-      console.log(`❌ Cache miss: ${cacheKey}`);
-    }
-    return value;
-  } catch (error) {
-    console.error('Error getting from cache:', error);
-    return undefined;
-  }
+// Cost classes of the rate limiter; everything else is standard. Heavy
+// routes scan whole trip tables on a cache miss or cannot be cached.
+const ROUTE_COST_CLASSES = {
+  '/metrics': 'light',
+  '/health': 'light',
+  '/ready': 'light',
+  '/api/auth/login': 'login',
+  '/api/auth': 'light',
+  '/api/locations': 'light',
+  '/api/transport-types': 'light',
+  '/api/filters': 'heavy',
+  '/api/filters/search': 'standard',
+  '/api/filter/date': 'heavy',
+  '/api/metrics': 'heavy',
+  '/api/journeys': 'heavy',
+  '/api/combined-trips/export': 'heavy'
 };
 
-const setInCache = (key, value) => {
-  try {
-    const cacheKey = safeStringify(key);
-    lruCache.set(cacheKey, value);
-    cacheStats.currentSize = lruCache.size;
-    console.log(`💾 Cached: ${cacheKey}`);
-  } catch (error) {
-    console.error('Error setting cache:', error);
-    if (global.gc) {
-      console.log('Running garbage collection...');
-      global.gc();
-    }
-  }
-};
-
-// Helper function to execute a query with error handling
-const safeQuery = async (pool, query, params = []) => {
-  const client = await pool.connect();
-  try {
-    const result = await client.query(query, params);
-    return result.rows;
-  } catch (error) {
-    console.error('Database query error:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-};
+// Middleware; the request logger comes first so everything after it runs
+// with the request id
+app.use(requestLogger);
+app.use(httpMetrics);
+app.use(cors());
+app.use(express.json());
+// Probes answer without checking credentials, so a stray Authorization
+// header from a load balancer cannot fail them
+const PROBE_PATHS = ['/health', '/ready'];
+const checkCredentials = limitAuthFailures(authenticate);
+app.use((req, res, next) => (PROBE_PATHS.includes(req.path) ? next() : checkCredentials(req, res, next)));
+app.use(rateLimit(ROUTE_COST_CLASSES));
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -147,993 +132,681 @@ app.get('/', (req, res) => {
     endpoints: {
       getTrips: '/api/:provider/trips?page=1&limit=10',
       search: '/api/:provider/search?field=origin&q=search_term',
-      transportTypes: '/api/transport-types'
+      transportTypes: '/api/transport-types',
+      priceHistory: '/api/routes/:origin/:destination/price-history?travel_date=YYYY-MM-DD',
+      compare: '/api/compare?origin=...&destination=...&travel_date=YYYY-MM-DD',
+      journeys: '/api/journeys?origin=...&destination=...&travel_date=YYYY-MM-DD',
+      login: 'POST /api/auth/login',
+      health: '/health',
+      ready: '/ready',
+      cacheStats: '/api/admin/cache/stats'
     }
   });
 });
 
-// Get distinct transport types for both providers
+// Prometheus metrics. Public unless METRICS_ROLE names the role a scraper's
+// API key needs.
+app.get('/metrics', ...(process.env.METRICS_ROLE ? [requireRole(process.env.METRICS_ROLE)] : []), async (req, res) => {
+  const { contentType, body } = await getMetrics();
+  res.set('Content-Type', contentType).send(body);
+});
+
+// Liveness and readiness for load balancers and orchestrators, public. Both
+// probe every database; /health always answers 200 with the details, /ready
+// answers 503 while the core database or every provider is unreachable.
+app.get('/health', async (req, res) => {
+  const health = await getHealth();
+  res.json({ ...health, timestamp: new Date().toISOString() });
+});
+
+app.get('/ready', async (req, res) => {
+  const health = await getHealth();
+  res.status(health.ready ? 200 : 503).json({ ...health, timestamp: new Date().toISOString() });
+});
+
+// Login is public; every other /api endpoint needs at least the viewer role.
+// Exports need analyst; watches (which post to arbitrary URLs) and the admin
+// endpoints need admin.
+app.use('/api/auth', authRoutes);
+app.use('/api', requireRole('viewer'));
+
+// Transport modes over all providers with their classes, raw spellings and
+// trip counts
 app.get('/api/transport-types', async (req, res) => {
-  const cacheKey = 'transport_types';
-  const cachedData = getFromCache(cacheKey);
-  
-  if (cachedData) {
-    return res.json(cachedData);
-  }
+  const { categories, status } = await getTransportTypes();
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    data: categories,
+    timestamp: new Date().toISOString()
+  });
+});
 
-  try {
-    // Get transport types for 12go
-    const query12go = 'SELECT DISTINCT transport_type FROM trips;';
-    const result12go = await safeQuery(pools['12go'], query12go);
-    const types12go = result12go.map(row => row.transport_type).join(', ');
-    
-    // Get transport types for bookaway
-    const queryBookaway = 'SELECT DISTINCT transport_type FROM bookaway_trips;';
-    const resultBookaway = await safeQuery(pools['bookaway'], queryBookaway);
-    const typesBookaway = resultBookaway.map(row => row.transport_type).join(', ');
-    
-    const response = {
-      "12go": {
-        "routes": types12go
-      },
-      "bookaway": {
-        "routes": typesBookaway
-      },
-      success: true,
-      timestamp: new Date().toISOString()
-    };
-    
-    setInCache(cacheKey, response);
-    res.json(response);
-  } catch (error) {
-    console.error('Error fetching transport types:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch transport types',
-      details: error.message
-    });
+// Canonical cities and stations, for the origin_city/destination_city and
+// from_city/to_city filters
+app.get('/api/locations', validate({
+  query: {
+    kind: { type: 'enum', values: KINDS },
+    q: { type: 'string' }
   }
+}), async (req, res) => {
+  const locations = await listLocations(req.valid);
+  res.json({
+    success: true,
+    data: locations.map(({ aliases, ...location }) => location),
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Helper function to get unique routes count for a provider
-async function getUniqueRoutes(pool, tableName, params, conditions) {
-  let query = `SELECT COUNT(DISTINCT (origin, destination)) as unique_routes FROM ${tableName}`;
-  
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
-  }
-  
-  const result = await pool.query(query, params);
-  return parseInt(result.rows[0]?.unique_routes || 0);
-}
+// Query parameters shared by the /api/metrics endpoints; from_city/to_city
+// are canonical city ids
+const METRIC_QUERY = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  transportType: { type: 'string' },
+  transport_mode: { type: 'enum', values: MODES },
+  from_city: { type: 'integer', min: 1 },
+  to_city: { type: 'integer', min: 1 }
+};
 
-// Helper function to get lowest price for a provider
-async function getLowestPrice(pool, tableName, params, conditions) {
-  let query = `SELECT MIN(price_inr) as lowest_price FROM ${tableName}`;
-  
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
+const metricFilters = ({ from, to, transportType, transport_mode, from_city, to_city }) =>
+  ({ from, to, transportType, transportMode: transport_mode, fromCity: from_city, toCity: to_city });
+
+// All metrics in one call, optionally one row per route, canonical city
+// route, operator, transport type or travel date for every provider
+app.get('/api/metrics/summary', validate({
+  query: {
+    ...METRIC_QUERY,
+    group_by: { type: 'enum', values: Object.keys(GROUP_BY) },
+    limit: { type: 'integer', min: 1, max: 1000, default: DEFAULT_SUMMARY_LIMIT },
+    currency: { type: 'currency', default: 'INR' }
   }
-  
-  const result = await pool.query(query, params);
-  return result.rows[0]?.lowest_price || '0.00';
-}
+}), async (req, res) => {
+  const { from, to, transportType, transport_mode, from_city, to_city, group_by, limit, currency } = req.valid;
+  const target = await resolveCurrency(currency);
 
-// Helper function to get highest price for a provider
-async function getHighestPrice(pool, tableName, params, conditions) {
-  let query = `SELECT MAX(price_inr) as highest_price FROM ${tableName}`;
-  
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
-  }
-  
-  const result = await pool.query(query, params);
-  return result.rows[0]?.highest_price || '0.00';
-}
+  const { results: summary, status } = await getSummary(metricFilters(req.valid), { groupBy: group_by, limit });
+  const convert = (price) => (price === null ? null : target.convert(price));
+
+  // City routes are grouped by id; add the canonical names
+  const locations = group_by === 'city_route' ? await getLocationTable() : null;
+  const cityName = (id) => (locations && locations.byId.has(id) ? locations.byId.get(id).name : null);
+
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    currency: target.currency,
+    group_by: group_by || null,
+    filters: {
+      from: from || null,
+      to: to || null,
+      transportType: transportType || null,
+      transport_mode: transport_mode || null,
+      from_city: from_city || null,
+      to_city: to_city || null
+    },
+    data: Object.fromEntries(Object.entries(summary).map(([name, { total_groups, rows }]) => [name, {
+      total_groups,
+      rows: rows.map(row => ({
+        ...row,
+        ...(locations && {
+          origin_city: cityName(row.origin_city_id),
+          destination_city: cityName(row.destination_city_id)
+        }),
+        lowest_price: convert(row.lowest_price),
+        highest_price: convert(row.highest_price),
+        avg_price: convert(row.avg_price)
+      }))
+    }])),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Percentiles, mean, standard deviation and histogram of prices per provider,
+// for the /api/combined-trips filters
+app.get('/api/metrics/price-distribution', validate({
+  query: {
+    ...TRIP_FILTER_QUERY,
+    provider: { type: 'providers' },
+    buckets: { type: 'integer', min: 1, max: 100, default: DEFAULT_BUCKETS },
+    trim: { type: 'number', min: 0, max: 25, default: 0 },
+    include_zero: { type: 'boolean', default: false },
+    currency: { type: 'currency', default: 'INR' }
+  },
+  check: checkDateRange
+}), async (req, res) => {
+  const { provider: selectedProviders, buckets, trim, include_zero, currency } = req.valid;
+  const target = await resolveCurrency(currency);
+
+  const { results: distribution, status } = await getPriceDistribution(selectedProviders, parseTripFilters(req.valid), {
+    buckets,
+    trim,
+    includeZero: include_zero
+  });
+
+  // Cached distributions are in INR and converted per request
+  const convert = (price) => (price === null ? null : target.convert(price));
+  const data = Object.fromEntries(Object.entries(distribution).map(([name, stats]) => [name, {
+    ...stats,
+    mean: convert(stats.mean),
+    stddev: convert(stats.stddev),
+    min: convert(stats.min),
+    max: convert(stats.max),
+    median: convert(stats.median),
+    percentiles: stats.percentiles && Object.fromEntries(
+      Object.entries(stats.percentiles).map(([key, price]) => [key, convert(price)])
+    ),
+    histogram: stats.histogram && {
+      ...stats.histogram,
+      buckets: stats.histogram.buckets.map(bucket => ({
+        ...bucket,
+        from: convert(bucket.from),
+        to: convert(bucket.to)
+      }))
+    }
+  }]));
+
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    currency: target.currency,
+    data,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Trip counts, unique routes and min/avg price per day, week or month, per
+// provider, for the /api/combined-trips filters
+app.get('/api/metrics/timeseries', validate({
+  query: {
+    ...TRIP_FILTER_QUERY,
+    provider: { type: 'providers' },
+    interval: { type: 'enum', values: Object.keys(INTERVALS), default: 'day' },
+    date_field: { type: 'enum', values: DATE_FIELDS, default: 'travel_date' },
+    currency: { type: 'currency', default: 'INR' }
+  },
+  check: checkDateRange
+}), async (req, res) => {
+  const { provider: selectedProviders, interval, date_field, currency } = req.valid;
+  const target = await resolveCurrency(currency);
+
+  const { results: series, status } = await getTimeseries(selectedProviders, parseTripFilters(req.valid), {
+    interval,
+    dateField: date_field
+  });
+
+  // Cached series are in INR and converted per request
+  const convert = (price) => (price === null ? null : target.convert(price));
+  res.json({
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    currency: target.currency,
+    interval,
+    date_field,
+    data: Object.fromEntries(Object.entries(series).map(([name, points]) => [
+      name,
+      points.map(point => ({
+        ...point,
+        min_price: convert(point.min_price),
+        avg_price: convert(point.avg_price)
+      }))
+    ])),
+    timestamp: new Date().toISOString()
+  });
+});
 
 // Get highest price from all providers
-app.get('/api/metrics/highest-price', async (req, res) => {
-  const { from, to, transportType } = req.query;
-  const timestamp = new Date().toISOString();
+app.get('/api/metrics/highest-price', validate({
+  query: { ...METRIC_QUERY, currency: { type: 'currency', default: 'INR' } }
+}), async (req, res) => {
+  const { currency } = req.valid;
+  const target = await resolveCurrency(currency);
+
+  const { results: highest, status } = await getMetric('highest-price', metricFilters(req.valid));
+  const results = {};
   
-  try {
-    const results = {};
-    const conditions = [];
-    const params = [];
-    
-    if (from) {
-      params.push(from);
-      conditions.push(`origin = $${params.length}`);
-    }
-    
-    if (to) {
-      params.push(to);
-      conditions.push(`destination = $${params.length}`);
-    }
-    
-    if (transportType) {
-      params.push(transportType);
-      conditions.push(`transport_type = $${params.length}`);
-    }
-    
-    // Get highest price for each provider
-    for (const [provider, pool] of Object.entries(pools)) {
-      const tableName = provider === '12go' ? 'trips' : 'bookaway_trips';
-      results[provider] = {
-        highest_price: await getHighestPrice(pool, tableName, params, [...conditions])
-      };
-    }
-    
-    res.json(results);
-  } catch (error) {
-    console.error('Error in /api/metrics/highest-price:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  for (const [name, price] of Object.entries(highest)) {
+    results[name] = {
+      highest_price: target.convert(parseFloat(price)).toFixed(2),
+      currency: target.currency
+    };
   }
+  
+  res.json({ ...results, success: true, status: overallStatus(status), provider_status: status });
 });
 
 // Get lowest price from all providers
-app.get('/api/metrics/lowest-price', async (req, res) => {
-  const { from, to, transportType } = req.query;
+app.get('/api/metrics/lowest-price', validate({
+  query: { ...METRIC_QUERY, currency: { type: 'currency', default: 'INR' } }
+}), async (req, res) => {
+  const { currency } = req.valid;
   const timestamp = new Date().toISOString();
+  const target = await resolveCurrency(currency);
+
+  const { results: lowest, status } = await getMetric('lowest-price', metricFilters(req.valid));
+  const results = Object.fromEntries(Object.entries(lowest).map(([name, price]) => [name, {
+    lowest_price: target.convert(parseFloat(price)).toFixed(2),
+    currency: target.currency,
+    timestamp: timestamp
+  }]));
   
-  try {
-    const params = [];
-    const conditions = [];
-    
-    if (from) {
-      conditions.push(`LOWER(origin) = LOWER($${params.length + 1})`);
-      params.push(from);
-    }
-    
-    if (to) {
-      conditions.push(`LOWER(destination) = LOWER($${params.length + 1})`);
-      params.push(to);
-    }
-    
-    if (transportType) {
-      conditions.push(`LOWER(transport_type) = LOWER($${params.length + 1})`);
-      params.push(transportType);
-    }
-    
-    // Execute queries for both providers in parallel
-    const [twelveGoPrice, bookawayPrice] = await Promise.all([
-      getLowestPrice(pools['12go'], 'trips', [...params], [...conditions]),
-      getLowestPrice(pools['bookaway'], 'bookaway_trips', [...params], [...conditions])
-    ]);
-    
-    res.json({
-      "12go": {
-        lowest_price: twelveGoPrice.toString(),
-        timestamp: timestamp
-      },
-      "bookaway": {
-        lowest_price: bookawayPrice.toString(),
-        timestamp: timestamp
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error in /api/metrics/lowest-price:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch lowest prices',
-      details: error.message 
-    });
-  }
+  res.json({ ...results, success: true, status: overallStatus(status), provider_status: status });
 });
 
 // Get unique routes count for all providers
-app.get('/api/metrics/unique-routes', async (req, res) => {
-  const { from, to, transportType } = req.query;
+app.get('/api/metrics/unique-routes', validate({ query: METRIC_QUERY }), async (req, res) => {
   const timestamp = new Date().toISOString();
   
-  try {
-    const params = [];
-    const conditions = [];
-    
-    if (from) {
-      conditions.push(`LOWER(origin) = LOWER($${params.length + 1})`);
-      params.push(from);
-    }
-    
-    if (to) {
-      conditions.push(`LOWER(destination) = LOWER($${params.length + 1})`);
-      params.push(to);
-    }
-    
-    if (transportType) {
-      conditions.push(`LOWER(transport_type) = LOWER($${params.length + 1})`);
-      params.push(transportType);
-    }
-    
-    // Execute queries for both providers in parallel
-    const [twelveGoCount, bookawayCount] = await Promise.all([
-      getUniqueRoutes(pools['12go'], 'trips', [...params], [...conditions]),
-      getUniqueRoutes(pools['bookaway'], 'bookaway_trips', [...params], [...conditions])
-    ]);
-    
-    res.json({
-      "12go": {
-        unique_routes: twelveGoCount,
-        timestamp: timestamp
-      },
-      "bookaway": {
-        unique_routes: bookawayCount,
-        timestamp: timestamp
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error in /api/metrics/unique-routes:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch unique routes',
-      details: error.message 
-    });
-  }
-});
-
-// Helper function to get the cheapest carrier for a provider
-async function getCheapestCarrier(pool, tableName, params, conditions) {
-  let query = `
-    SELECT operator_name 
-    FROM ${tableName}
-    ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
-    ORDER BY price_inr ASC
-    LIMIT 1
-  `;
-  
-  const result = await pool.query(query, params);
-  return result.rows[0]?.operator_name || null;
-}
-
-// Helper function to get unique providers count for a provider
-async function getUniqueProviders(pool, tableName, params, conditions) {
-  let query = `SELECT COUNT(DISTINCT operator_name) as unique_providers FROM ${tableName}`;
-  
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
-  }
+  const { results: counts, status } = await getMetric('unique-routes', metricFilters(req.valid));
+  const results = Object.fromEntries(Object.entries(counts).map(([name, count]) => [name, {
+    unique_routes: count,
+    timestamp: timestamp
+  }]));
   
-  const result = await pool.query(query, params);
-  return parseInt(result.rows[0]?.unique_providers || 0);
-}
+  res.json({ ...results, success: true, status: overallStatus(status), provider_status: status });
+});
 
 // Get unique providers count from all providers
-app.get('/api/metrics/unique-providers', async (req, res) => {
-  const { from, to, transportType } = req.query;
+app.get('/api/metrics/unique-providers', validate({ query: METRIC_QUERY }), async (req, res) => {
   const timestamp = new Date().toISOString();
   
-  try {
-    const params = [];
-    const conditions = [];
-    
-    if (from) {
-      conditions.push(`LOWER(origin) = LOWER($${params.length + 1})`);
-      params.push(from);
-    }
-    
-    if (to) {
-      conditions.push(`LOWER(destination) = LOWER($${params.length + 1})`);
-      params.push(to);
-    }
-    
-    if (transportType) {
-      conditions.push(`LOWER(transport_type) = LOWER($${params.length + 1})`);
-      params.push(transportType);
-    }
-    
-    // Get unique providers count for both providers in parallel
-    const [twelveGoCount, bookawayCount] = await Promise.all([
-      getUniqueProviders(pools['12go'], 'trips', [...params], [...conditions]),
-      getUniqueProviders(pools['bookaway'], 'bookaway_trips', [...params], [...conditions])
-    ]);
-    
-    res.json({
-      "12go": {
-        unique_providers: twelveGoCount,
-        timestamp: timestamp
-      },
-      "bookaway": {
-        unique_providers: bookawayCount,
-        timestamp: timestamp
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error in /api/metrics/unique-providers:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch unique providers',
-      details: error.message 
-    });
-  }
+  const { results: counts, status } = await getMetric('unique-providers', metricFilters(req.valid));
+  const results = Object.fromEntries(Object.entries(counts).map(([name, count]) => [name, {
+    unique_providers: count,
+    timestamp: timestamp
+  }]));
+  
+  res.json({ ...results, success: true, status: overallStatus(status), provider_status: status });
 });
 
 // Get cheapest carriers from all providers
-app.get('/api/metrics/cheapest-carriers', async (req, res) => {
-  const { from, to, transportType } = req.query;
+app.get('/api/metrics/cheapest-carriers', validate({ query: METRIC_QUERY }), async (req, res) => {
   const timestamp = new Date().toISOString();
   
-  try {
-    const params = [];
-    const conditions = [];
-    
-    if (from) {
-      conditions.push(`LOWER(origin) = LOWER($${params.length + 1})`);
-      params.push(from);
-    }
-    
-    if (to) {
-      conditions.push(`LOWER(destination) = LOWER($${params.length + 1})`);
-      params.push(to);
-    }
-    
-    if (transportType) {
-      conditions.push(`LOWER(transport_type) = LOWER($${params.length + 1})`);
-      params.push(transportType);
+  const { results: carriers, status } = await getMetric('cheapest-carriers', metricFilters(req.valid));
+  const results = Object.fromEntries(Object.entries(carriers).map(([name, carrier]) => [name, {
+    carriers: carrier ? [carrier] : []
+  }]));
+  
+  res.json({
+    ...results,
+    success: true,
+    status: overallStatus(status),
+    provider_status: status,
+    timestamp: timestamp
+  });
+});
+
+// Get trips by date range
+const DATE_RANGES = ['today', 'tomorrow', 'next 7 days', 'next 14 days', 'this month', 'this year', 'custom'];
+
+app.get('/api/filter/date', validate({
+  query: {
+    provider: { type: 'provider', required: true },
+    range: { type: 'enum', values: DATE_RANGES, required: true },
+    startDate: { type: 'date' },
+    endDate: { type: 'date' },
+    limit: { type: 'integer', min: 1, max: 5000, default: 1000 }
+  },
+  check: ({ range, startDate, endDate }) => {
+    if (range !== 'custom') return null;
+    if (!startDate || !endDate) {
+      return { [startDate ? 'endDate' : 'startDate']: 'startDate and endDate are required for the custom range' };
     }
-    
-    // Get cheapest carrier for both providers in parallel
-    const [twelveGoCarrier, bookawayCarrier] = await Promise.all([
-      getCheapestCarrier(pools['12go'], 'trips', [...params], [...conditions]),
-      getCheapestCarrier(pools['bookaway'], 'bookaway_trips', [...params], [...conditions])
-    ]);
-    
-    res.json({
-      "12go": {
-        carriers: twelveGoCarrier ? [twelveGoCarrier] : []
-      },
-      "bookaway": {
-        carriers: bookawayCarrier ? [bookawayCarrier] : []
-      },
-      timestamp: timestamp
-    });
-    
-  } catch (error) {
-    console.error('Error in /api/metrics/cheapest-carriers:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch cheapest carriers',
-      details: error.message 
-    });
+    return startDate > endDate ? { endDate: 'must not be before startDate' } : null;
+  }
+}), async (req, res) => {
+  const { provider: providerConfig, range, startDate, endDate, limit } = req.valid;
+  let query = '';
+  let params = [];
+  const { pool, table: tableName } = providerConfig;
+  
+  switch (range) {
+    case 'today':
+      query = `SELECT * FROM ${tableName} WHERE departure_time::date = CURRENT_DATE`;
+      break;
+      
+    case 'tomorrow':
+      query = `SELECT * FROM ${tableName} WHERE departure_time::date = CURRENT_DATE + INTERVAL '1 day'`;
+      break;
+      
+    case 'next 7 days':
+      query = `SELECT * FROM ${tableName} WHERE departure_time::date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '7 days'`;
+      break;
+      
+    case 'next 14 days':
+      query = `SELECT * FROM ${tableName} WHERE departure_time::date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '14 days'`;
+      break;
+      
+    case 'this month':
+      query = `SELECT * FROM ${tableName} WHERE departure_time::date >= date_trunc('month', CURRENT_DATE)::date AND departure_time::date < date_trunc('month', CURRENT_DATE)::date + INTERVAL '1 month'`;
+      break;
+      
+    case 'this year':
+      query = `SELECT * FROM ${tableName} WHERE departure_time::date >= date_trunc('year', CURRENT_DATE)::date AND departure_time::date < date_trunc('year', CURRENT_DATE)::date + INTERVAL '1 year'`;
+      break;
+      
+    case 'custom':
+      query = `SELECT * FROM ${tableName} WHERE departure_time::date BETWEEN $1 AND $2`;
+      params = [startDate, endDate];
+      break;
   }
+  
+  // One row more than the limit tells whether there are more
+  const rows = await safeQuery(
+    pool,
+    `${query} ORDER BY departure_time, id LIMIT $${params.length + 1}`,
+    [...params, limit + 1]
+  );
+  res.json({
+    success: true,
+    count: Math.min(rows.length, limit),
+    has_more: rows.length > limit,
+    data: rows.slice(0, limit)
+  });
 });
 
-// Get trips with pagination
-app.get('/api/:provider/trips', async (req, res) => {
-  const { provider } = req.params;
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 10;
-  const offset = (page - 1) * limit;
-
-  if (!pools[provider]) {
-    return res.status(400).json({ error: 'Invalid provider. Use either "12go" or "bookaway"' });
-  }
+// Search filter options
+const FILTER_SEARCH_COLUMNS = {
+  'From': 'origin',
+  'To': 'destination',
+  'Transport Type': 'transport_type',
+  'Operator': 'operator_name'
+};
 
-  const cacheKey = `${provider}_trips_page${page}_limit${limit}`;
-  const cachedData = getFromCache(cacheKey);
-  
-  if (cachedData) {
-    return res.json(cachedData);
+app.get('/api/filters/search', validate({
+  query: {
+    field: { type: 'enum', values: Object.keys(FILTER_SEARCH_COLUMNS), required: true },
+    query: { type: 'string', required: true }
   }
+}), async (req, res) => {
+  const { field, query } = req.valid;
+  const columnName = FILTER_SEARCH_COLUMNS[field];
+  const searchQuery = `%${query}%`;
 
-  try {
-    const pool = pools[provider];
-    const tableName = provider === 'bookaway' ? 'bookaway_trips' : 'trips';
-    
-    // Get total count
-    const countResult = await safeQuery(
+  const { results, status } = await settleProviders(getProviders(), async ({ pool, table: tableName }) => {
+    const rows = await safeQuery(
       pool,
-      `SELECT COUNT(*) FROM ${tableName}`
+      `SELECT DISTINCT ${columnName} as value
+       FROM ${tableName}
+       WHERE ${columnName} ILIKE $1
+       LIMIT 50`,
+      [searchQuery]
     );
-    
-    // Get paginated data with COALESCE to handle NULL values
-    const trips = await safeQuery(
-      pool,
-      `SELECT 
-        id,
-        COALESCE(origin, 'N/A') as "From",
-        COALESCE(destination, 'N/A') as "To",
-        COALESCE(price_inr, 0) as "Price",
-        COALESCE(operator_name, 'N/A') as "Operator",
-        COALESCE(TO_CHAR(travel_date, 'YYYY-MM-DD'), 'N/A') as "Date",
-        COALESCE(route_url, '#') as route_url,
-        COALESCE(transport_type, 'N/A') as transport_type,
-        COALESCE(TO_CHAR(departure_time, 'HH24:MI'), 'N/A') as departure_time,
-        COALESCE(TO_CHAR(arrival_time, 'HH24:MI'), 'N/A') as arrival_time,
-        '${provider}' as source
-      FROM ${tableName} 
-      ORDER BY id 
-      LIMIT $1 OFFSET $2`,
-      [limit, offset]
-    );
-
-    const total = parseInt(countResult[0].count, 10);
-    const totalPages = Math.ceil(total / limit);
-
-    const response = {
-      data: trips,
-      pagination: {
-        total,
-        page,
-        limit,
-        totalPages,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
-    };
+    return rows.map(row => row.value);
+  });
 
-    setInCache(cacheKey, response);
-    res.json(response);
-  } catch (error) {
-    console.error(`Error fetching ${provider} trips:`, error);
-    res.status(500).json({ error: 'Failed to fetch trips', details: error.message });
-  }
+  // Remove duplicates and sort
+  const uniqueResults = [...new Set(Object.values(results).flat())].sort();
+  res.json({ success: true, status: overallStatus(status), provider_status: status, data: uniqueResults });
 });
 
+// Get all available filters with caching
+app.get('/api/filters', async (req, res) => {
+  const { filters, status } = await getFilterOptions();
+  res.json({ ...filters, success: true, status: overallStatus(status), provider_status: status });
+});
 
-// Search endpoint
-app.get('/api/:provider/search', async (req, res) => {
-  const { provider } = req.params;
-  const { field, q } = req.query;
-  
-  if (!pools[provider]) {
-    return res.status(400).json({ error: 'Invalid provider. Use either "12go" or "bookaway"' });
-  }
-
-  if (!field || !q) {
-    return res.status(400).json({ error: 'Both field and q parameters are required' });
-  }
-  
-  const validFields = ['origin', 'destination', 'transport_type', 'operator_name'];
-  if (!validFields.includes(field)) {
-    return res.status(400).json({ 
-      error: `Field must be one of: ${validFields.join(', ')}` 
+// Combined trips endpoint with pagination, sorting, and caching. Results from
+// all selected providers are merged into one globally sorted result set; use
+// next_cursor for fast deep paging.
+app.get('/api/combined-trips', validate({
+  query: {
+    ...TRIP_FILTER_QUERY,
+    provider: { type: 'providers' },
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 50 },
+    cursor: { type: 'string', maxLength: 1000 },
+    sort_by: { type: 'enum', values: Object.keys(SORT_COLUMNS), default: 'departure_time' },
+    sort_order: { type: 'enum', values: ['ASC', 'DESC'], default: 'ASC' },
+    currency: { type: 'currency', default: 'INR' }
+  },
+  check: checkDateRange
+}), async (req, res) => {
+  const {
+    provider: selectedProviders,
+    page: pageNum,
+    limit: limitNum,
+    cursor,
+    sort_by,
+    sort_order,
+    currency
+  } = req.valid;
+
+  const target = await resolveCurrency(currency);
+  const filters = parseTripFilters(req.valid);
+
+  const cacheKey = `combined_trips_${JSON.stringify({
+    ...filters,
+    providers: selectedProviders.map(p => p.name), // Include selected providers in cache key
+    pageNum: cursor ? null : pageNum,
+    cursor: cursor || null,
+    limitNum,
+    sort_by, 
+    sort_order
+  })}`;
+
+  let result = await getFromCache(cacheKey);
+  if (result) {
+    result = { ...result, status: cachedStatus(selectedProviders) };
+  } else {
+    result = await getCombinedTrips(selectedProviders, filters, {
+      sortBy: sort_by,
+      sortOrder: sort_order,
+      page: pageNum,
+      limit: limitNum,
+      cursor
     });
-  }
-  
-  const cacheKey = `${provider}_search_${field}_${q.toLowerCase()}`;
-  const cachedResults = getFromCache(cacheKey);
-  
-  if (cachedResults) {
-    return res.json({ results: cachedResults });
-  }
-  
-  try {
-    const pool = pools[provider];
-    const tableName = provider === 'bookaway' ? 'bookaway_trips' : 'trips';
-    
-    let query, params;
-    
-    if (field === 'origin' || field === 'destination') {
-      // For origin/destination search, return complete route information
-      query = `
-        SELECT DISTINCT 
-          origin, 
-          destination, 
-          transport_type,
-          operator_name
-        FROM ${tableName}
-        WHERE ${field} ILIKE $1
-        ORDER BY ${field}
-        LIMIT 50
-      `;
-      params = [`%${q}%`];
-    } else {
-      // For other fields, just return distinct values
-      query = `
-        SELECT DISTINCT ${field} as value
-        FROM ${tableName}
-        WHERE ${field} ILIKE $1
-        ORDER BY ${field}
-        LIMIT 10
-      `;
-      params = [`%${q}%`];
-    }
-    
-    const result = await safeQuery(pool, query, params);
-    
-    let results;
-    if (field === 'origin' || field === 'destination') {
-      // Format as array of route objects
-      results = result.map(row => ({
-        origin: row.origin,
-        destination: row.destination,
-        transport_type: row.transport_type,
-        operator_name: row.operator_name
-      }));
-    } else {
-      // For other fields, just return the values
-      results = result.map(row => row.value);
+
+    // Don't cache pages that are missing a provider
+    if (allAnswered(result.status)) {
+      await setInCache(cacheKey, result, { tags: providerTags(selectedProviders) });
     }
-    
-    setInCache(cacheKey, results);
-    res.json({ results });
-  } catch (error) {
-    console.error(`Error searching ${field}s:`, error);
-    res.status(500).json({ 
-      error: `Error searching ${field}s`,
-      details: error.message 
-    });
   }
-});
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  res.status(500).json({ error: 'Internal server error' });
+  // Send the response with pagination info
+  res.json({
+    success: true,
+    status: overallStatus(result.status),
+    provider_status: result.status,
+    currency: target.currency,
+    data: result.data.map(trip => ({
+      ...trip,
+      price_converted: target.convert(parseFloat(trip.price_inr))
+    })),
+    total: result.total,
+    page: cursor ? null : pageNum,
+    limit: limitNum,
+    totalPages: Math.ceil(result.total / limitNum),
+    sort_by: result.sortBy,
+    sort_order: result.sortOrder,
+    has_more: result.hasMore,
+    next_cursor: result.nextCursor
+  });
 });
 
-// Start the server
-// Get trips by date range
-app.get('/api/filter/date', async (req, res) => {
-  const { provider, range } = req.query;
-  
-  if (!provider || !range) {
-    return res.status(400).json({ error: 'Provider and range parameters are required' });
+app.use('/api/combined-trips/export', requireRole('analyst'), tripExportRoutes);
+app.use('/api/routes', priceHistoryRoutes);
+app.use('/api/compare', compareRoutes);
+app.use('/api/journeys', journeyRoutes);
+app.use('/api/watches', requireRole('admin'), watchRoutes);
+app.use('/api/metrics/operators', operatorRoutes);
+app.use('/api/admin', requireRole('admin'));
+app.use('/api/admin/cache', cacheAdminRoutes);
+app.use('/api/admin/locations', locationsAdminRoutes);
+app.use('/api/admin/users', usersAdminRoutes);
+
+// Provider-scoped routes come last so they don't shadow /api/filters/search
+// Get trips with pagination
+app.get('/api/:provider/trips', validate({
+  params: { provider: { type: 'provider' } },
+  query: {
+    page: { type: 'integer', min: 1, default: 1 },
+    limit: { type: 'integer', min: 1, max: 100, default: 10 },
+    currency: { type: 'currency', default: 'INR' }
   }
+}), async (req, res) => {
+  const { provider: providerConfig, page, limit, currency } = req.valid;
+  const offset = (page - 1) * limit;
+  const target = await resolveCurrency(currency);
+
+  // Cached responses are always in INR and converted per request
+  const withCurrency = (response) => ({
+    ...response,
+    success: true,
+    data: target.currency === 'INR' ? response.data : response.data.map(trip => ({
+      ...trip,
+      Price: target.convert(parseFloat(trip.Price)),
+      Currency: target.currency
+    }))
+  });
 
-  const pool = pools[provider];
-  if (!pool) {
-    return res.status(400).json({ error: 'Invalid provider' });
+  const cacheKey = `${providerConfig.name}_trips_page${page}_limit${limit}`;
+  const cachedData = await getFromCache(cacheKey);
+  
+  if (cachedData) {
+    return res.json(withCurrency(cachedData));
   }
 
-  try {
-    let query = '';
-    let params = [];
-    const tableName = provider === '12go' ? 'trips' : 'trips';
-    
-    switch (range.toLowerCase()) {
-      case 'today':
-        query = `SELECT * FROM ${tableName} WHERE departure_time::date = CURRENT_DATE`;
-        break;
-        
-      case 'tomorrow':
-        query = `SELECT * FROM ${tableName} WHERE departure_time::date = CURRENT_DATE + INTERVAL '1 day'`;
-        break;
-        
-      case 'next 7 days':
-        query = `SELECT * FROM ${tableName} WHERE departure_time::date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '7 days'`;
-        break;
-        
-      case 'next 14 days':
-        query = `SELECT * FROM ${tableName} WHERE departure_time::date BETWEEN CURRENT_DATE AND CURRENT_DATE + INTERVAL '14 days'`;
-        break;
-        
-      case 'this month':
-        query = `SELECT * FROM ${tableName} WHERE departure_time::date >= date_trunc('month', CURRENT_DATE)::date AND departure_time::date < date_trunc('month', CURRENT_DATE)::date + INTERVAL '1 month'`;
-        break;
-        
-      case 'this year':
-        query = `SELECT * FROM ${tableName} WHERE departure_time::date >= date_trunc('year', CURRENT_DATE)::date AND departure_time::date < date_trunc('year', CURRENT_DATE)::date + INTERVAL '1 year'`;
-        break;
-        
-      case 'custom':
-        const { startDate, endDate } = req.query;
-        if (!startDate || !endDate) {
-          return res.status(400).json({ error: 'startDate and endDate are required for custom range' });
-        }
-        query = `SELECT * FROM ${tableName} WHERE departure_time::date BETWEEN $1 AND $2`;
-        params = [startDate, endDate];
-        break;
-        
-      default:
-        return res.status(400).json({ error: 'Invalid date range specified' });
+  const { pool, table: tableName } = providerConfig;
+  
+  // Get total count
+  const countResult = await safeQuery(
+    pool,
+    `SELECT COUNT(*) FROM ${tableName}`
+  );
+  
+  // Get paginated data with COALESCE to handle NULL values
+  const trips = await safeQuery(
+    pool,
+    `SELECT 
+      id,
+      COALESCE(origin, 'N/A') as "From",
+      COALESCE(destination, 'N/A') as "To",
+      COALESCE(price_inr, 0) as "Price",
+      COALESCE(operator_name, 'N/A') as "Operator",
+      COALESCE(TO_CHAR(travel_date, 'YYYY-MM-DD'), 'N/A') as "Date",
+      COALESCE(route_url, '#') as route_url,
+      COALESCE(transport_type, 'N/A') as transport_type,
+      COALESCE(TO_CHAR(departure_time, 'HH24:MI'), 'N/A') as departure_time,
+      COALESCE(TO_CHAR(arrival_time, 'HH24:MI'), 'N/A') as arrival_time,
+      '${providerConfig.name}' as source
+    FROM ${tableName} 
+    ORDER BY id 
+    LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+
+  const total = parseInt(countResult[0].count, 10);
+  const totalPages = Math.ceil(total / limit);
+
+  const response = {
+    data: trips,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1
     }
-    
-    const { rows } = await pool.query(query, params);
-    res.json({
-      success: true,
-      count: rows.length,
-      data: rows
-    });
-    
-  } catch (error) {
-    console.error('Error filtering trips by date:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to filter trips',
-      details: error.message 
-    });
-  }
+  };
+
+  await setInCache(cacheKey, response, { tags: providerTags([providerConfig]) });
+  res.json(withCurrency(response));
 });
 
-// Search filter options
-app.get('/api/filters/search', async (req, res) => {
-  const { field, query } = req.query;
+// Search endpoint
+app.get('/api/:provider/search', validate({
+  params: { provider: { type: 'provider' } },
+  query: {
+    field: { type: 'enum', values: ['origin', 'destination', 'transport_type', 'operator_name'], required: true },
+    q: { type: 'string', required: true }
+  }
+}), async (req, res) => {
+  const { provider: providerConfig, field, q } = req.valid;
+  
+  const cacheKey = `${providerConfig.name}_search_${field}_${q.toLowerCase()}`;
+  const cachedResults = await getFromCache(cacheKey);
   
-  if (!field || !query) {
-    return res.status(400).json({ error: 'Field and query parameters are required' });
+  if (cachedResults) {
+    return res.json({ success: true, results: cachedResults });
   }
-
-  try {
-    const results = [];
-    const searchQuery = `%${query}%`;
-    
-    for (const [provider, pool] of Object.entries(pools)) {
-      const tableName = provider === 'bookaway' ? 'bookaway_trips' : 'trips';
-      let columnName;
-      
-      switch(field) {
-        case 'From': columnName = 'origin'; break;
-        case 'To': columnName = 'destination'; break;
-        case 'Transport Type': columnName = 'transport_type'; break;
-        case 'Operator': columnName = 'operator_name'; break;
-        default: continue;
-      }
-      
-      const result = await safeQuery(
-        pool,
-        `SELECT DISTINCT ${columnName} as value 
-         FROM ${tableName} 
-         WHERE ${columnName} ILIKE $1 
-         LIMIT 50`,
-        [searchQuery]
-      );
-      
-      results.push(...result.rows.map(row => row.value));
-    }
-    
-    // Remove duplicates and sort
-    const uniqueResults = [...new Set(results)].sort();
-    res.json({ success: true, data: uniqueResults });
-  } catch (error) {
-    console.error('Error searching filters:', error);
-    res.status(500).json({ success: false, error: 'Failed to search filters' });
+  
+  const { pool, table: tableName } = providerConfig;
+  
+  let query, params;
+  
+  if (field === 'origin' || field === 'destination') {
+    // For origin/destination search, return complete route information
+    query = `
+      SELECT DISTINCT 
+        origin, 
+        destination, 
+        transport_type,
+        operator_name
+      FROM ${tableName}
+      WHERE ${field} ILIKE $1
+      ORDER BY ${field}
+      LIMIT 50
+    `;
+    params = [`%${q}%`];
+  } else {
+    // For other fields, just return distinct values
+    query = `
+      SELECT DISTINCT ${field} as value
+      FROM ${tableName}
+      WHERE ${field} ILIKE $1
+      ORDER BY ${field}
+      LIMIT 10
+    `;
+    params = [`%${q}%`];
   }
-});
-
-// Get all available filters with caching
-app.get('/api/filters', async (req, res) => {
-  const cacheKey = 'filters_data';
   
-  try {
-    // Try to get from cache first
-    const cachedData = getFromCache(cacheKey);
-    if (cachedData) {
-      console.log('Serving filters from cache');
-      return res.json(cachedData);
-    }
-    
-    console.log('Cache miss, fetching filters from database');
-    const results = {};
-    
-    // For each provider, get distinct values for each filter field
-    for (const [provider, pool] of Object.entries(pools)) {
-      const tableName = provider === 'bookaway' ? 'bookaway_trips' : 'trips';
-      
-      // Get distinct origins
-      const origins = await safeQuery(pool, `SELECT DISTINCT origin FROM ${tableName} WHERE origin IS NOT NULL`);
-      // Get distinct destinations
-      const destinations = await safeQuery(pool, `SELECT DISTINCT destination FROM ${tableName} WHERE destination IS NOT NULL`);
-      // Get distinct transport types
-      const transportTypes = await safeQuery(pool, `SELECT DISTINCT transport_type FROM ${tableName} WHERE transport_type IS NOT NULL`);
-      // Get distinct operators
-      const operators = await safeQuery(pool, `SELECT DISTINCT operator_name FROM ${tableName} WHERE operator_name IS NOT NULL`);
-      
-      // Combine results
-      if (!results.origin) results.origin = new Set();
-      if (!results.destination) results.destination = new Set();
-      if (!results.transport_type) results.transport_type = new Set();
-      if (!results.operator_name) results.operator_name = new Set();
-      
-      origins.forEach(row => row.origin && results.origin.add(row.origin));
-      destinations.forEach(row => row.destination && results.destination.add(row.destination));
-      transportTypes.forEach(row => row.transport_type && results.transport_type.add(row.transport_type));
-      operators.forEach(row => row.operator_name && results.operator_name.add(row.operator_name));
-    }
-    
-    // Convert Sets to comma-separated strings
-    const response = {
-      origin: Array.from(results.origin || []).join(','),
-      destination: Array.from(results.destination || []).join(','),
-      transport_type: Array.from(results.transport_type || []).join(','),
-      operator_name: Array.from(results.operator_name || []).join(',')
-    };
-    
-    // Cache the response for 1 hour (3600000 ms)
-    setInCache(cacheKey, response, 3600000);
-    res.json(response);
-  } catch (error) {
-    console.error('Error fetching filters:', error);
-    res.status(500).json({ error: 'Failed to fetch filters' });
+  const result = await safeQuery(pool, query, params);
+  
+  let results;
+  if (field === 'origin' || field === 'destination') {
+    // Format as array of route objects
+    results = result.map(row => ({
+      origin: row.origin,
+      destination: row.destination,
+      transport_type: row.transport_type,
+      operator_name: row.operator_name
+    }));
+  } else {
+    // For other fields, just return the values
+    results = result.map(row => row.value);
   }
+  
+  await setInCache(cacheKey, results, { tags: providerTags([providerConfig]) });
+  res.json({ success: true, results });
 });
 
-// Combined trips endpoint with pagination, sorting, and caching
-// Server-side: In your Express.js file
-app.get('/api/combined-trips', async (req, res) => {
-  try {
-    const { 
-      origin, 
-      destination, 
-      operator_name, 
-      transport_type, 
-      timeline, 
-      start_date, 
-      end_date, 
-      travel_date,
-      provider, // Added provider parameter
-      page = '1', 
-      limit = '50', 
-      sort_by = 'departure_time', 
-      sort_order = 'ASC' 
-    } = req.query;
-
-    // Parse provider filter
-    const providers = provider ? provider.split(',').map(p => p.trim().toLowerCase()) : ['12go', 'bookaway'];
-    const validProviders = ['12go', 'bookaway'];
-    const selectedProviders = providers.filter(p => validProviders.includes(p));
-    
-    if (selectedProviders.length === 0) {
-      return res.status(400).json({ error: 'Invalid provider. Use either "12go", "bookaway", or both' });
-    }
-
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-    const offset = (pageNum - 1) * limitNum;
-
-    // Correctly parse comma-separated string into an array
-    const origins = origin ? origin.split(',') : [];
-    const destinations = destination ? destination.split(',') : [];
-    const transportTypes = transport_type ? transport_type.split(',') : [];
-    const operatorNames = operator_name ? operator_name.split(',') : [];
-
-    const cacheKey = `combined_trips_${JSON.stringify({
-      origins, 
-      destinations, 
-      operatorNames, 
-      transportTypes, 
-      timeline, 
-      start_date, 
-      end_date, 
-      travel_date,
-      providers: selectedProviders, // Include selected providers in cache key
-      pageNum, 
-      limitNum,
-      sort_by, 
-      sort_order
-    })}`;
-
-    const cachedResult = getFromCache(cacheKey);
-    if (cachedResult) {
-      console.log('✅ Serving from cache:', cacheKey);
-      return res.json(cachedResult);
-    }
-
-    const buildQuery = (tableName) => {
-      const params = [];
-      const conditions = [];
-      let paramIndex = 1;
-
-      // Use IN clause for multiple exact matches
-      if (origins.length > 0) {
-        const placeholders = origins.map((_, i) => `$${paramIndex + i}`).join(',');
-        params.push(...origins);
-        conditions.push(`(origin IN (${placeholders}))`);
-        paramIndex += origins.length;
-      }
-      
-      if (destinations.length > 0) {
-        const placeholders = destinations.map((_, i) => `$${paramIndex + i}`).join(',');
-        params.push(...destinations);
-        conditions.push(`(destination IN (${placeholders}))`);
-        paramIndex += destinations.length;
-      }
-
-      if (transportTypes.length > 0) {
-        const placeholders = transportTypes.map((_, i) => `$${paramIndex + i}`).join(',');
-        params.push(...transportTypes);
-        conditions.push(`(transport_type IN (${placeholders}))`);
-        paramIndex += transportTypes.length;
-      }
-
-      if (operatorNames.length > 0) {
-        const placeholders = operatorNames.map((_, i) => `$${paramIndex + i}`).join(',');
-        params.push(...operatorNames);
-        conditions.push(`(operator_name IN (${placeholders}))`);
-        paramIndex += operatorNames.length;
-      }
-
-      // Add other conditions with careful parameter index management
-      if (travel_date) {
-        try {
-          const [day, month, year] = travel_date.split('-');
-          const formattedDate = `${year}-${month}-${day}`;
-          params.push(formattedDate);
-          conditions.push(`DATE(travel_date) = $${paramIndex}`);
-          paramIndex++;
-        } catch (error) {
-          console.error('Error parsing travel date:', error);
-        }
-      }
-
-      // Add date filtering for travel_date
-      if (start_date && end_date) {
-        // If we have both start_date and end_date, use them for travel_date filtering
-        params.push(start_date, end_date);
-        conditions.push(`travel_date BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
-        paramIndex += 2;
-      } else if (timeline) {
-        // Otherwise, use the timeline presets
-        switch (timeline.toLowerCase()) {
-          case 'today':
-            conditions.push(`DATE(travel_date) = CURRENT_DATE`);
-            break;
-          case 'tomorrow':
-            conditions.push(`DATE(travel_date) = (CURRENT_DATE + INTERVAL '1 day')`);
-            break;
-          case 'next 7 days':
-            conditions.push(`travel_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '7 days')`);
-            break;
-          case 'next 14 days':
-            conditions.push(`travel_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '14 days')`);
-            break;
-          case 'this month':
-            conditions.push(`travel_date BETWEEN date_trunc('month', CURRENT_DATE) 
-                               AND (date_trunc('month', CURRENT_DATE) + INTERVAL '1 month' - INTERVAL '1 day')`);
-            break;
-          case 'next month':
-            conditions.push(`travel_date BETWEEN (date_trunc('month', CURRENT_DATE) + INTERVAL '1 month')
-                               AND (date_trunc('month', CURRENT_DATE) + INTERVAL '2 months' - INTERVAL '1 day')`);
-            break;
-          case 'this year':
-            conditions.push(`travel_date BETWEEN date_trunc('year', CURRENT_DATE)
-                               AND (date_trunc('year', CURRENT_DATE) + INTERVAL '1 year' - INTERVAL '1 day')`);
-            break;
-        }
-      }
-
-      // First, build the count query
-      let countQuery = `SELECT COUNT(*) as total_count FROM ${tableName}`;
-      if (conditions.length > 0) {
-        countQuery += ` WHERE ${conditions.join(' AND ')}`;
-      }
-
-      // Then build the data query
-      let dataQuery = `SELECT * FROM ${tableName}`;
-      if (conditions.length > 0) {
-        dataQuery += ` WHERE ${conditions.join(' AND ')}`;
-      }
-
-      const safeSortBy = ['departure_time', 'arrival_time', 'price_inr', 'duration_minutes'].includes(sort_by) ? sort_by : 'departure_time';
-      const safeSortOrder = ['ASC', 'DESC'].includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'ASC';
-      
-      dataQuery += ` ORDER BY ${safeSortBy} ${safeSortOrder}`;
-      
-      // Add pagination to data query only
-      dataQuery += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-      params.push(limitNum, offset);
-
-      // Return both queries - we'll need to run them separately
-      return { countQuery, dataQuery, params };
-    };
-
-    // Only build queries for selected providers
-    const queries = [];
-    if (selectedProviders.includes('12go')) {
-      queries.push({
-        query: buildQuery('trips'),
-        provider: '12go'
-      });
-    }
-    if (selectedProviders.includes('bookaway')) {
-      queries.push({
-        query: buildQuery('bookaway_trips'),
-        provider: 'bookaway'
-      });
-    }
-    
-    // Execute queries in parallel for selected providers
-    const queryPromises = queries.map(async ({ query, provider }) => {
-      console.log(`${provider} Count Query:`, query.countQuery);
-      console.log(`${provider} Data Query:`, query.dataQuery);
-      console.log(`${provider} Params:`, query.params);
-      
-      try {
-        // Log pool connection status
-        console.log(`${provider} Pool connection status:`, {
-          totalCount: pools[provider].totalCount,
-          idleCount: pools[provider].idleCount,
-          waitingCount: pools[provider].waitingCount
-        });
-        
-        // Execute both count and data queries in parallel
-        const [countResult, dataResult] = await Promise.all([
-          safeQuery(pools[provider], query.countQuery, query.params.slice(0, -2)), // Exclude limit/offset for count
-          safeQuery(pools[provider], query.dataQuery, query.params)
-        ]);
-        
-        console.log(`${provider} Count Result:`, countResult);
-        console.log(`${provider} Data Result:`, dataResult);
-        
-        return {
-          data: dataResult || [],
-          total: countResult && countResult[0] ? parseInt(countResult[0].total_count) : 0,
-          provider
-        };
-      } catch (error) {
-        console.error(`Error executing ${provider} query:`, error);
-        return {
-          data: [],
-          total: 0,
-          provider,
-          error: error.message
-        };
-      }
-    });
-
-    const results = await Promise.all(queryPromises);
-
-    const processResults = (result) => {
-      if (!result || result.data.length === 0) {
-        return { items: [], total: 0 };
-      }
-      return {
-        items: result.data,
-        total: result.total
-      };
-    };
-
-    // Process results from all selected providers
-    const allResults = [];
-    let totalCount = 0;
-    
-    results.forEach((result) => {
-      const processed = processResults(result);
-      if (processed && processed.items && processed.items.length > 0) {
-        allResults.push(...processed.items);
-        totalCount += processed.total;
-      }
-    });
-
-    // Sort all results
-    allResults.sort((a, b) => {
-      const aTime = new Date(a.departure_time);
-      const bTime = new Date(b.departure_time);
-      return sort_order === 'ASC' ? aTime - bTime : bTime - aTime;
-    });
-
-    // Send the response with pagination info
-    res.json({
-      success: true,
-      data: allResults,
-      total: totalCount,
-      page: parseInt(page),
-      limit: limitNum,
-      totalPages: Math.ceil(totalCount / limitNum)
-    });
-
-  } catch (error) {
-    console.error('Error in combined trips query:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch combined trips data',
-      details: error.message
-    });
-  }
-});
+// Unknown routes and errors share the { success: false, error, code } envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const server = app.listen(port, () => {
-  console.log(`🚀 Server v2 running on port ${port}`);
-  console.log('Available providers:', Object.keys(pools).join(', '));
-  console.log(`API Documentation: http://localhost:${port}/`);
+  logger.info(`🚀 Server v2 running on port ${port}`, { providers: getProviderNames() });
+  logger.info(`API Documentation: http://localhost:${port}/`);
 });
 
 // Handle graceful shutdown
 const shutdown = async () => {
-  console.log('\n🛑 Shutting down server...');
+  logger.info('🛑 Shutting down server...');
   
   // Close the HTTP server
   server.close(() => {
-    console.log('✅ HTTP server closed');
+    logger.info('✅ HTTP server closed');
     
     // Close all database connections
-    Promise.all(
-      Object.entries(pools).map(([provider, pool]) => 
-        pool.end()
-          .then(() => console.log(`✅ ${provider} pool closed`))
-          .catch(err => console.error(`❌ Error closing ${provider} pool:`, err))
-      )
-    ).then(() => {
-      console.log('✅ All database connections closed');
+    Promise.all([closeAll(), closeCorePool(), closeCache()]).then(() => {
+      logger.info('✅ All database connections closed');
       process.exit(0);
     });
   });
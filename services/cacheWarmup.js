@@ -0,0 +1,31 @@
+const { getFilterOptions, getTransportTypes } = require('./filterOptions');
+const { getSummary, getPopularRoutes } = require('./metrics');
+
+const DEFAULT_WARM_ROUTES = 20;
+
+// Recompute the entries dashboards load first: filter options, transport
+// types, and the metrics summary unfiltered and for the most popular routes.
+// Runs sequentially to keep the load on the provider databases low.
+const warmCache = async ({ routes = DEFAULT_WARM_ROUTES } = {}) => {
+  const start = Date.now();
+
+  await getFilterOptions({ refresh: true });
+  await getTransportTypes({ refresh: true });
+
+  const popularRoutes = await getPopularRoutes(routes);
+  const metricFilters = [{}, ...popularRoutes.map(({ from, to }) => ({ from, to }))];
+  for (const filters of metricFilters) {
+    await getSummary(filters, { refresh: true });
+  }
+
+  return {
+    entries: 2 + metricFilters.length,
+    routes: popularRoutes,
+    elapsedSeconds: Number(((Date.now() - start) / 1000).toFixed(1))
+  };
+};
+
+module.exports = {
+  DEFAULT_WARM_ROUTES,
+  warmCache
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { settleProviders } = require('../config/providers');
+const { safeQuery } = require('../utils/db');
+const { buildTripFilters } = require('../utils/tripFilters');
+const { ValidationError } = require('../utils/errors');
+
+// Combined trips are one result set ordered by (sort value, provider, id)
+// across every selected provider. Each provider returns its next rows in that
+// order and the rows are merged here, so pages have a consistent size and
+// order. Deep paging uses an opaque keyset cursor instead of OFFSET.
+
+const SORT_COLUMNS = {
+  price: 'price_inr',
+  price_inr: 'price_inr',
+  duration: 'duration_min',
+  duration_min: 'duration_min',
+  duration_minutes: 'duration_min',
+  departure: 'departure_time',
+  departure_time: 'departure_time',
+  arrival: 'arrival_time',
+  arrival_time: 'arrival_time'
+};
+
+const TIME_COLUMNS = ['departure_time', 'arrival_time'];
+
+// Page mode reads offset + limit rows per provider; beyond this use the cursor
+const MAX_OFFSET_ROWS = 10000;
+
+class CursorError extends ValidationError {
+  constructor(message) {
+    super({ cursor: message });
+  }
+}
+
+// NULLs sort last in both directions
+const resolveSort = (sortBy, sortOrder) => {
+  const column = SORT_COLUMNS[sortBy] || 'departure_time';
+  const order = String(sortOrder || 'ASC').toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+  const isTime = TIME_COLUMNS.includes(column);
+  const nullValue = isTime
+    ? (order === 'ASC' ? `'infinity'` : `'-infinity'`)
+    : (order === 'ASC' ? '1e15' : '-1e15');
+  const expr = `COALESCE(${column}, ${nullValue})`;
+
+  return {
+    column,
+    order,
+    expr,
+    numericExpr: isTime ? `EXTRACT(EPOCH FROM ${expr})` : expr
+  };
+};
+
+const filtersHash = (value) =>
+  crypto.createHash('sha1').update(JSON.stringify(value)).digest('hex').slice(0, 12);
+
+const encodeCursor = (row, sort, hash) =>
+  Buffer.from(JSON.stringify({
+    v: row._sort_key,
+    p: row.source,
+    i: String(row.id),
+    c: sort.column,
+    o: sort.order,
+    h: hash
+  })).toString('base64url');
+
+const decodeCursor = (cursor, sort, hash) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new CursorError('is not a valid cursor');
+  }
+  if (!decoded || decoded.v === undefined || !decoded.p || !decoded.i) {
+    throw new CursorError('is not a valid cursor');
+  }
+  if (decoded.c !== sort.column || decoded.o !== sort.order || decoded.h !== hash) {
+    throw new CursorError('does not match the current filters or sort order');
+  }
+  return decoded;
+};
+
+// Rows of `provider` that come after the cursor in the global order. The
+// provider name is the middle tiebreaker, so it decides whether equal sort
+// values are still to come for this provider.
+const keysetCondition = (sort, provider, cursor, params) => {
+  const after = sort.order === 'ASC' ? '>' : '<';
+  params.push(cursor.v);
+  const value = `$${params.length}`;
+
+  if (provider === cursor.p) {
+    params.push(cursor.i);
+    return `(${sort.expr}, id) ${after} (${value}, $${params.length})`;
+  }
+  const providerIsAfter = sort.order === 'ASC' ? provider > cursor.p : provider < cursor.p;
+  return `${sort.expr} ${providerIsAfter ? `${after}=` : after} ${value}`;
+};
+
+const compareRows = (sort) => (a, b) => {
+  const sign = sort.order === 'ASC' ? 1 : -1;
+  const cmp = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+  return sign * (
+    cmp(parseFloat(a._sort_num), parseFloat(b._sort_num)) ||
+    cmp(a.source, b.source) ||
+    cmp(Number(a.id), Number(b.id))
+  );
+};
+
+async function fetchProviderRows({ name, pool, table }, filters, sort, { cursor, take }) {
+  const { conditions, params } = buildTripFilters(filters);
+  if (cursor) {
+    conditions.push(keysetCondition(sort, name, cursor, params));
+  }
+
+  params.push(take);
+  const rows = await safeQuery(
+    pool,
+    `SELECT *, ${sort.expr}::text AS _sort_key, ${sort.numericExpr} AS _sort_num
+     FROM ${table}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${sort.expr} ${sort.order}, id ${sort.order}
+     LIMIT $${params.length}`,
+    params
+  );
+  return rows.map(row => ({ ...row, source: name }));
+}
+
+async function countProviderRows({ pool, table }, filters) {
+  const { conditions, params } = buildTripFilters(filters);
+  const rows = await safeQuery(
+    pool,
+    `SELECT COUNT(*) AS total_count FROM ${table}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`,
+    params
+  );
+  return rows[0] ? parseInt(rows[0].total_count, 10) : 0;
+}
+
+// Fetch one page of the merged result. Pass either `cursor` (from a previous
+// next_cursor) or `page`. Providers that fail are reported as failed in
+// `status` and contribute no rows.
+async function getCombinedTrips(providers, filters, { sortBy, sortOrder, page = 1, limit, cursor }) {
+  const sort = resolveSort(sortBy, sortOrder);
+  const hash = filtersHash({ filters, providers: providers.map(p => p.name) });
+  const decoded = cursor ? decodeCursor(cursor, sort, hash) : null;
+  const offset = decoded ? 0 : (page - 1) * limit;
+
+  if (offset + limit > MAX_OFFSET_ROWS) {
+    throw new ValidationError({
+      page: `pages beyond row ${MAX_OFFSET_ROWS} must be requested with the cursor parameter`
+    });
+  }
+
+  const settled = await settleProviders(providers, async provider => {
+    const [rows, total] = await Promise.all([
+      fetchProviderRows(provider, filters, sort, { cursor: decoded, take: offset + limit + 1 }),
+      countProviderRows(provider, filters)
+    ]);
+    return { rows, total };
+  });
+  const results = Object.values(settled.results);
+
+  const merged = results.flatMap(result => result.rows).sort(compareRows(sort));
+  const pageRows = merged.slice(offset, offset + limit);
+  const hasMore = merged.length > offset + limit;
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    data: pageRows.map(({ _sort_key, _sort_num, ...trip }) => trip),
+    total: results.reduce((sum, result) => sum + result.total, 0),
+    sortBy: sort.column,
+    sortOrder: sort.order,
+    hasMore,
+    nextCursor: hasMore && last ? encodeCursor(last, sort, hash) : null,
+    status: settled.status
+  };
+}
+
+module.exports = {
+  SORT_COLUMNS,
+  CursorError,
+  resolveSort,
+  compareRows,
+  getCombinedTrips
+};
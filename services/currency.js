@@ -0,0 +1,168 @@
+const { getCorePool } = require('../config/database');
+
+// Dated exchange rates. A rate row says 1 base_currency = rate quote_currency
+// from rate_date until the next row for the same pair.
+
+const RATES_TTL = 10 * 60 * 1000; // reload rates every 10 minutes
+const PIVOT_CURRENCY = 'INR';
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// The THB->INR rate that used to be hard-coded, seeded as the oldest rate so
+// scrapes from before any recorded rate keep converting
+const SEED_RATES = [
+  { base: 'THB', quote: 'INR', date: '2000-01-01', rate: 2.32, source: 'seed (former fixed rate)' }
+];
+
+let rateTable = null;
+let rateTableLoadedAt = 0;
+
+const createRatesSchema = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS currency_rates (
+      base_currency CHAR(3) NOT NULL,
+      quote_currency CHAR(3) NOT NULL,
+      rate_date DATE NOT NULL,
+      rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+      source TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (base_currency, quote_currency, rate_date)
+    )
+  `);
+  for (const { base, quote, date, rate, source } of SEED_RATES) {
+    await pool.query(
+      `INSERT INTO currency_rates (base_currency, quote_currency, rate_date, rate, source)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (base_currency, quote_currency, rate_date) DO NOTHING`,
+      [base, quote, date, rate, source]
+    );
+  }
+};
+
+// Rates are loaded by every import and conversion, so the table and its seed
+// rates are only ensured once per pool
+const schemaReady = new WeakMap();
+
+const ensureRatesSchema = (pool = getCorePool()) => {
+  if (!schemaReady.has(pool)) {
+    schemaReady.set(pool, createRatesSchema(pool).catch((error) => {
+      schemaReady.delete(pool);
+      throw error;
+    }));
+  }
+  return schemaReady.get(pool);
+};
+
+const normalizeCurrency = (value) => {
+  const code = String(value || '').trim().toUpperCase();
+  return CURRENCY_PATTERN.test(code) ? code : null;
+};
+
+// Build a lookup over rate rows sorted by date. `rate(from, to, date)` returns
+// the rate valid on date (latest when date is omitted) using the direct pair,
+// its inverse, or a cross rate through INR, and null when none is known.
+const buildRateTable = (rows) => {
+  const pairs = new Map();
+  rows.forEach(({ base_currency, quote_currency, rate_date, rate }) => {
+    const key = `${base_currency}:${quote_currency}`;
+    if (!pairs.has(key)) pairs.set(key, []);
+    pairs.get(key).push({ date: rate_date, rate: parseFloat(rate) });
+  });
+
+  const pairRate = (from, to, date) => {
+    const entries = pairs.get(`${from}:${to}`);
+    if (!entries) return null;
+    if (!date) return entries[entries.length - 1].rate;
+    let found = null;
+    for (const entry of entries) {
+      if (entry.date > date) break;
+      found = entry.rate;
+    }
+    return found;
+  };
+
+  const directRate = (from, to, date) => {
+    if (from === to) return 1;
+    const direct = pairRate(from, to, date);
+    if (direct !== null) return direct;
+    const inverse = pairRate(to, from, date);
+    return inverse !== null ? 1 / inverse : null;
+  };
+
+  const rate = (from, to, date = null) => {
+    const direct = directRate(from, to, date);
+    if (direct !== null) return direct;
+    const toPivot = directRate(from, PIVOT_CURRENCY, date);
+    const fromPivot = directRate(PIVOT_CURRENCY, to, date);
+    return toPivot !== null && fromPivot !== null ? toPivot * fromPivot : null;
+  };
+
+  const convert = (amount, from, to, date = null) => {
+    const r = rate(from, to, date);
+    if (r === null || amount === null || amount === undefined) return null;
+    return Math.round(amount * r * 100) / 100;
+  };
+
+  return { rate, convert };
+};
+
+const loadRateTable = async (pool = getCorePool()) => {
+  await ensureRatesSchema(pool);
+  const result = await pool.query(`
+    SELECT base_currency, quote_currency, TO_CHAR(rate_date, 'YYYY-MM-DD') AS rate_date, rate
+    FROM currency_rates
+    ORDER BY base_currency, quote_currency, rate_date
+  `);
+  return buildRateTable(result.rows);
+};
+
+// Cached rate table shared by the API and importer
+const getRateTable = async ({ refresh = false } = {}) => {
+  if (!rateTable || refresh || Date.now() - rateTableLoadedAt > RATES_TTL) {
+    rateTable = await loadRateTable();
+    rateTableLoadedAt = Date.now();
+  }
+  return rateTable;
+};
+
+// Returns a function converting INR amounts to `currency` at the latest rate,
+// or null when the currency is invalid or has no rate
+const getInrConverter = async (currency) => {
+  const target = normalizeCurrency(currency);
+  if (!target) return null;
+  if (target === 'INR') return (amount) => (Number.isFinite(amount) ? amount : null);
+
+  const rates = await getRateTable();
+  if (rates.rate('INR', target) === null) return null;
+  return (amount) => (Number.isFinite(amount) ? rates.convert(amount, 'INR', target) : null);
+};
+
+const setRate = async ({ base, quote, rate, date, source = null }, pool = getCorePool()) => {
+  await ensureRatesSchema(pool);
+  await pool.query(
+    `INSERT INTO currency_rates (base_currency, quote_currency, rate_date, rate, source)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (base_currency, quote_currency, rate_date)
+     DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source`,
+    [base, quote, date, rate, source]
+  );
+  rateTable = null;
+};
+
+const listRates = async (pool = getCorePool()) => {
+  await ensureRatesSchema(pool);
+  const result = await pool.query(`
+    SELECT base_currency, quote_currency, TO_CHAR(rate_date, 'YYYY-MM-DD') AS rate_date, rate, source
+    FROM currency_rates
+    ORDER BY base_currency, quote_currency, rate_date DESC
+  `);
+  return result.rows;
+};
+
+module.exports = {
+  normalizeCurrency,
+  buildRateTable,
+  getRateTable,
+  getInrConverter,
+  setRate,
+  listRates
+};
@@ -0,0 +1,139 @@
+const { getProviders, settleProviders, allAnswered, cachedStatus } = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+const { getLocationTable } = require('./locations');
+const { classifyTransportType } = require('./transportTypes');
+
+// Distinct values behind /api/transport-types and /api/filters, with the
+// status of every provider. Results are only cached when every provider
+// answered. refresh recomputes and re-caches even when a cached value exists.
+
+const FILTERS_TTL = 60 * 60 * 1000; // 1 hour
+
+// Transport categories of the taxonomy over all providers, most trips first:
+// { categories: [{ mode, trips, multimodal_trips, classes, providers, values }], status }
+// where classes and providers are trip counts and values the raw spellings
+// with their counts
+const getTransportTypes = async ({ refresh = false } = {}) => {
+  const cacheKey = 'transport_types';
+  const providers = getProviders();
+  const cachedData = refresh ? undefined : await getFromCache(cacheKey);
+  if (cachedData) return { categories: cachedData, status: cachedStatus(providers) };
+
+  const { results: byProvider, status } = await settleProviders(providers, ({ pool, table }) =>
+    safeQuery(
+      pool,
+      `SELECT transport_type, COUNT(*) AS trips FROM ${table}
+       WHERE transport_type IS NOT NULL
+       GROUP BY transport_type`
+    )
+  );
+
+  const modes = new Map();
+  Object.entries(byProvider).forEach(([provider, rows]) => {
+    rows.forEach(({ transport_type, trips }) => {
+      const classified = classifyTransportType(transport_type);
+      if (!classified) return;
+      const count = parseInt(trips, 10);
+      const category = modes.get(classified.mode) || {
+        mode: classified.mode,
+        trips: 0,
+        multimodal_trips: 0,
+        classes: {},
+        providers: {},
+        values: {}
+      };
+      category.trips += count;
+      if (classified.multimodal) category.multimodal_trips += count;
+      category.classes[classified.class] = (category.classes[classified.class] || 0) + count;
+      category.providers[provider] = (category.providers[provider] || 0) + count;
+      category.values[transport_type] = (category.values[transport_type] || 0) + count;
+      modes.set(classified.mode, category);
+    });
+  });
+
+  const categories = [...modes.values()]
+    .sort((a, b) => b.trips - a.trips)
+    .map(category => ({
+      ...category,
+      values: Object.entries(category.values)
+        .sort((a, b) => b[1] - a[1])
+        .map(([value, trips]) => ({ value, trips }))
+    }));
+
+  if (allAnswered(status)) {
+    await setInCache(cacheKey, categories, { tags: providerTags(providers) });
+  }
+  return { categories, status };
+};
+
+// Distinct origins, destinations, transport types and operators over all
+// providers, each as a comma-separated string, plus the canonical origin and
+// destination cities as { id, name, country }: { filters, status }
+const getFilterOptions = async ({ refresh = false } = {}) => {
+  const cacheKey = 'filters_data';
+  const providers = getProviders();
+  const cachedData = refresh ? undefined : await getFromCache(cacheKey);
+  if (cachedData) {
+    return { filters: cachedData, status: cachedStatus(providers) };
+  }
+
+  const results = {};
+
+  // For each provider, get distinct values for each filter field
+  const { status } = await settleProviders(providers, async ({ pool, table: tableName }) => {
+    // Get distinct origins
+    const origins = await safeQuery(pool, `SELECT DISTINCT origin FROM ${tableName} WHERE origin IS NOT NULL`);
+    // Get distinct destinations
+    const destinations = await safeQuery(pool, `SELECT DISTINCT destination FROM ${tableName} WHERE destination IS NOT NULL`);
+    // Get distinct transport types
+    const transportTypes = await safeQuery(pool, `SELECT DISTINCT transport_type FROM ${tableName} WHERE transport_type IS NOT NULL`);
+    // Get distinct operators
+    const operators = await safeQuery(pool, `SELECT DISTINCT operator_name FROM ${tableName} WHERE operator_name IS NOT NULL`);
+    // Get distinct canonical cities
+    const cities = await safeQuery(pool, `SELECT DISTINCT origin_city_id, destination_city_id FROM ${tableName}`);
+
+    // Combine results
+    if (!results.origin) results.origin = new Set();
+    if (!results.destination) results.destination = new Set();
+    if (!results.transport_type) results.transport_type = new Set();
+    if (!results.operator_name) results.operator_name = new Set();
+    if (!results.origin_city) results.origin_city = new Set();
+    if (!results.destination_city) results.destination_city = new Set();
+
+    origins.forEach(row => row.origin && results.origin.add(row.origin));
+    destinations.forEach(row => row.destination && results.destination.add(row.destination));
+    transportTypes.forEach(row => row.transport_type && results.transport_type.add(row.transport_type));
+    operators.forEach(row => row.operator_name && results.operator_name.add(row.operator_name));
+    cities.forEach(row => {
+      if (row.origin_city_id) results.origin_city.add(row.origin_city_id);
+      if (row.destination_city_id) results.destination_city.add(row.destination_city_id);
+    });
+  });
+
+  const { byId } = await getLocationTable();
+  const cityList = (ids) => Array.from(ids || [])
+    .filter(id => byId.has(id))
+    .map(id => ({ id, name: byId.get(id).name, country: byId.get(id).country }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  // Convert Sets to comma-separated strings
+  const response = {
+    origin: Array.from(results.origin || []).join(','),
+    destination: Array.from(results.destination || []).join(','),
+    transport_type: Array.from(results.transport_type || []).join(','),
+    operator_name: Array.from(results.operator_name || []).join(','),
+    origin_city: cityList(results.origin_city),
+    destination_city: cityList(results.destination_city)
+  };
+
+  if (allAnswered(status)) {
+    await setInCache(cacheKey, response, { ttl: FILTERS_TTL, tags: providerTags(providers) });
+  }
+  return { filters: response, status };
+};
+
+module.exports = {
+  getTransportTypes,
+  getFilterOptions
+};
@@ -0,0 +1,79 @@
+const { getCorePool } = require('../config/database');
+const { PROVIDER_SLOW_MS, getProviders, overallStatus } = require('../config/providers');
+
+// Probes behind /health and /ready: a SELECT 1 against every provider pool
+// and the core pool, with the provider's circuit breaker state. Probes skip
+// the breaker so they notice when an open circuit's database is back.
+const PROBE_TIMEOUT_MS = parseInt(process.env.PROBE_TIMEOUT_MS, 10) || 2000;
+const startedAt = Date.now();
+
+// { status: 'ok' | 'degraded' | 'failed', latency_ms, error? } of one pool
+async function probePool(pool) {
+  const probeStartedAt = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      pool.query('SELECT 1'),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${PROBE_TIMEOUT_MS}ms`)), PROBE_TIMEOUT_MS);
+      })
+    ]);
+    const latencyMs = Date.now() - probeStartedAt;
+    return { status: latencyMs > PROVIDER_SLOW_MS ? 'degraded' : 'ok', latency_ms: latencyMs };
+  } catch (error) {
+    return { status: 'failed', latency_ms: Date.now() - probeStartedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const poolCounts = (pool) => ({
+  total: pool.totalCount,
+  idle: pool.idleCount,
+  waiting: pool.waitingCount
+});
+
+async function probeCore() {
+  let pool;
+  try {
+    pool = getCorePool();
+  } catch (error) {
+    return { status: 'failed', error: error.message };
+  }
+  return { ...(await probePool(pool)), pool: poolCounts(pool) };
+}
+
+// A provider whose database answers but whose circuit is still open or
+// half-open is degraded: requests keep failing fast until a trial call
+// succeeds
+async function probeProvider({ pool, breaker }) {
+  const probe = await probePool(pool);
+  const circuit = breaker.snapshot();
+  return {
+    ...probe,
+    status: probe.status === 'ok' && circuit.state !== 'closed' ? 'degraded' : probe.status,
+    circuit,
+    pool: poolCounts(pool)
+  };
+}
+
+// Overall status, the core database and every provider. ready is false when
+// the core database or every provider is unreachable.
+const getHealth = async () => {
+  const providers = getProviders();
+  const [core, ...probes] = await Promise.all([probeCore(), ...providers.map(probeProvider)]);
+  const providerStatus = Object.fromEntries(providers.map((provider, i) => [provider.name, probes[i]]));
+  const statuses = { core, ...providerStatus };
+
+  return {
+    status: overallStatus(statuses),
+    ready: core.status !== 'failed' && probes.some(probe => probe.status !== 'failed'),
+    uptime_seconds: Math.round((Date.now() - startedAt) / 1000),
+    core,
+    providers: providerStatus
+  };
+};
+
+module.exports = {
+  getHealth
+};
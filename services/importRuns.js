@@ -0,0 +1,272 @@
+// Import run bookkeeping. Every import is recorded in import_runs, and each
+// trip it inserted or updated is logged in import_run_changes (with the
+// previous row for updates) so a run can be rolled back later. Every row a run
+// reads is also kept in price_observations as the price history of the trip.
+
+// Columns that identify a trip across re-imports of the same scrape. Also the
+// ON CONFLICT target of the import upsert, so it must match the unique index
+// of migrations/004_natural_key.js. The tables used here are created by
+// migrations/006_import_runs.js.
+const NATURAL_KEY = "provider, route_url, departure_time, (COALESCE(operator_name, ''))";
+
+// Remove duplicate trips left by earlier non-idempotent imports, keeping the
+// most recently inserted copy of each
+const dedupeTrips = async (pool, table) => {
+  const result = await pool.query(`
+    DELETE FROM ${table} a
+    USING ${table} b
+    WHERE a.id < b.id
+      AND a.provider = b.provider
+      AND a.route_url = b.route_url
+      AND a.departure_time = b.departure_time
+      AND COALESCE(a.operator_name, '') = COALESCE(b.operator_name, '')
+  `);
+  return result.rowCount;
+};
+
+const startRun = async (pool, { provider, table, file, format }) => {
+  const result = await pool.query(
+    `INSERT INTO import_runs (provider, table_name, file, format)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [provider, table, file, format]
+  );
+  return result.rows[0].id;
+};
+
+const finishRun = async (pool, runId, report, error = null) => {
+  await pool.query(
+    `UPDATE import_runs
+     SET status = $2,
+         total_rows = $3,
+         inserted_rows = $4,
+         updated_rows = $5,
+         unchanged_rows = $6,
+         duplicate_rows = $7,
+         rejected_rows = $8,
+         error = $9,
+         finished_at = NOW()
+     WHERE id = $1`,
+    [
+      runId,
+      error ? 'failed' : 'completed',
+      report.total,
+      report.inserted,
+      report.updated,
+      report.unchanged,
+      report.duplicates,
+      report.rejected,
+      error ? error.message : null
+    ]
+  );
+};
+
+// Record what a committed batch changed. `previousById` maps trip ids that
+// existed before the batch to their old row.
+const recordChanges = async (client, runId, changedRows, previousById) => {
+  if (changedRows.length === 0) return;
+
+  const values = [];
+  const params = [];
+  changedRows.forEach(({ id, inserted }) => {
+    params.push(runId, id, inserted ? 'inserted' : 'updated', inserted ? null : previousById.get(String(id)));
+    const base = params.length - 4;
+    values.push(`($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`);
+  });
+
+  await client.query(
+    `INSERT INTO import_run_changes (run_id, trip_id, action, previous) VALUES ${values.join(',')}`,
+    params
+  );
+};
+
+const listRuns = async (pool, provider, limit = 20) => {
+  const result = await pool.query(
+    `SELECT * FROM import_runs WHERE provider = $1 ORDER BY id DESC LIMIT $2`,
+    [provider, limit]
+  );
+  return result.rows;
+};
+
+// Undo a run: delete the trips it inserted and restore the ones it updated.
+// Refuses when a later, still active run changed or saw any of the same trips,
+// since undoing them would discard that run's data, unless force is set.
+// Forced rollbacks drop the later observations of the trips they delete.
+const rollbackRun = async (pool, { provider, table, columns }, runId, { force = false } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const runResult = await client.query(
+      'SELECT * FROM import_runs WHERE id = $1 AND provider = $2 FOR UPDATE',
+      [runId, provider]
+    );
+    const run = runResult.rows[0];
+    if (!run) {
+      throw new Error(`Import run ${runId} not found for provider ${provider}`);
+    }
+    if (run.status === 'rolled_back') {
+      throw new Error(`Import run ${runId} was already rolled back at ${run.rolled_back_at.toISOString()}`);
+    }
+    if (run.status === 'running') {
+      throw new Error(`Import run ${runId} is still running`);
+    }
+    if (run.format === 'move') {
+      throw new Error(`Import run ${runId} moved trips from ${run.file} and cannot be rolled back`);
+    }
+
+    if (!force) {
+      // A later run that found a trip unchanged only left an observation
+      const later = await client.query(
+        `SELECT DISTINCT r.id
+         FROM (
+           SELECT run_id, trip_id FROM import_run_changes WHERE run_id > $2
+           UNION ALL
+           SELECT run_id, trip_id FROM price_observations WHERE run_id > $2
+         ) c
+         JOIN import_runs r ON r.id = c.run_id
+         WHERE r.table_name = $1 AND r.status <> 'rolled_back'
+           AND c.trip_id IN (SELECT trip_id FROM import_run_changes WHERE run_id = $2)
+         ORDER BY r.id`,
+        [run.table_name, runId]
+      );
+      if (later.rows.length > 0) {
+        throw new Error(
+          `Later import runs (${later.rows.map(r => r.id).join(', ')}) changed or confirmed the same trips. ` +
+          'Roll those back first or pass --force.'
+        );
+      }
+    }
+
+    // Restore the oldest snapshot of every trip this run updated but did not insert
+    const restored = await client.query(
+      `UPDATE ${table} t
+       SET ${columns.map(col => `${col} = p.${col}`).join(', ')}
+       FROM (
+         SELECT DISTINCT ON (trip_id) trip_id, previous
+         FROM import_run_changes
+         WHERE run_id = $1 AND action = 'updated'
+           AND trip_id NOT IN (
+             SELECT trip_id FROM import_run_changes WHERE run_id = $1 AND action = 'inserted'
+           )
+         ORDER BY trip_id, id
+       ) c,
+       jsonb_populate_record(NULL::${table}, c.previous) p
+       WHERE t.id = c.trip_id`,
+      [runId]
+    );
+
+    // Drop the run's observations and fall back to the previous scrape time
+    await client.query(
+      `WITH removed AS (
+         DELETE FROM price_observations WHERE run_id = $1 RETURNING trip_id
+       )
+       UPDATE ${table} t
+       SET scraped_at = (
+         SELECT MAX(o.scraped_at) FROM price_observations o
+         WHERE o.trip_id = t.id AND o.provider = t.provider AND o.run_id <> $1
+       )
+       WHERE t.id IN (SELECT trip_id FROM removed)`,
+      [runId]
+    );
+
+    const deleted = await client.query(
+      `DELETE FROM ${table}
+       WHERE id IN (
+         SELECT trip_id FROM import_run_changes WHERE run_id = $1 AND action = 'inserted'
+       )
+       RETURNING id`,
+      [runId]
+    );
+    await client.query(
+      `DELETE FROM price_observations
+       WHERE trip_id = ANY($1::bigint[])
+         AND run_id IN (SELECT id FROM import_runs WHERE table_name = $2)`,
+      [deleted.rows.map(row => row.id), run.table_name]
+    );
+
+    await client.query(
+      `UPDATE import_runs SET status = 'rolled_back', rolled_back_at = NOW() WHERE id = $1`,
+      [runId]
+    );
+
+    await client.query('COMMIT');
+    return { runId, deleted: deleted.rowCount, restored: restored.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Move the trips whose provider column is sourceProvider (case-insensitive)
+// from one provider's table to another's in the same database, e.g. omio rows
+// that older imports wrote into the 12go table. The move is recorded as a run
+// of the target, and the price observations of the moved trips go with them.
+// Returns { runId, moved, inserted }.
+const moveTrips = async (pool, { from, to, columns, sourceProvider }) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const run = await client.query(
+      `INSERT INTO import_runs (provider, table_name, file, format, status, finished_at)
+       VALUES ($1, $2, $3, 'move', 'completed', NOW())
+       RETURNING id`,
+      [to.name, to.table, `${from.table} (${from.name})`]
+    );
+    const runId = run.rows[0].id;
+
+    // A trip already in the target keeps its id; the no-op update makes
+    // RETURNING report it too, so its observations can follow
+    const moved = await client.query(
+      `WITH moved AS (
+         INSERT INTO ${to.table} AS t (${columns.join(', ')}, scraped_at)
+         SELECT ${columns.join(', ')}, scraped_at FROM ${from.table}
+         WHERE LOWER(provider) = LOWER($1)
+         ON CONFLICT (${NATURAL_KEY}) DO UPDATE SET provider = t.provider
+         RETURNING id, provider, route_url, departure_time, operator_name, (xmax = 0) AS inserted
+       ),
+       observations AS (
+         UPDATE price_observations o
+         SET trip_id = m.id, run_id = $2
+         FROM moved m
+         JOIN ${from.table} f
+           ON f.provider = m.provider AND f.route_url = m.route_url
+          AND f.departure_time = m.departure_time
+          AND COALESCE(f.operator_name, '') = COALESCE(m.operator_name, '')
+         WHERE o.trip_id = f.id AND o.provider = f.provider
+       )
+       SELECT COUNT(*) AS moved, COUNT(*) FILTER (WHERE inserted) AS inserted FROM moved`,
+      [sourceProvider, runId]
+    );
+    const count = parseInt(moved.rows[0].moved, 10);
+    const inserted = parseInt(moved.rows[0].inserted, 10);
+
+    await client.query(`DELETE FROM ${from.table} WHERE LOWER(provider) = LOWER($1)`, [sourceProvider]);
+    await client.query(
+      'UPDATE import_runs SET total_rows = $2, inserted_rows = $3, unchanged_rows = $4 WHERE id = $1',
+      [runId, count, inserted, count - inserted]
+    );
+
+    await client.query('COMMIT');
+    return { runId, moved: count, inserted };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  NATURAL_KEY,
+  dedupeTrips,
+  startRun,
+  finishRun,
+  recordChanges,
+  listRuns,
+  rollbackRun,
+  moveTrips
+};
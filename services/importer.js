@@ -0,0 +1,360 @@
+const fs = require('fs');
+const { readRecords, detectFormat } = require('../utils/recordReaders');
+const { logger } = require('../utils/logger');
+const {
+  parseDurationMinutes,
+  parsePriceNumber,
+  parseTimestamp,
+  parseDate
+} = require('../utils/parsers');
+const {
+  NATURAL_KEY,
+  startRun,
+  finishRun,
+  recordChanges
+} = require('./importRuns');
+const { getRateTable } = require('./currency');
+const { getLocationTable } = require('./locations');
+const { classifyTransportType } = require('./transportTypes');
+const { evaluateWatches } = require('./priceAlerts');
+const { pendingMigrations } = require('./migrations');
+const { invalidateTags, providerTags } = require('../utils/cache');
+
+const DEFAULT_BATCH_SIZE = 400;
+const MAX_REJECTED_SAMPLES = 50;
+
+const TRIP_COLUMNS = [
+  'route_url', 'origin', 'destination',
+  'departure_time', 'arrival_time', 'transport_type',
+  'duration_min', 'price', 'price_inr', 'currency',
+  'travel_date', 'operator_name', 'provider',
+  'origin_location_id', 'origin_city_id',
+  'destination_location_id', 'destination_city_id',
+  'transport_mode', 'transport_class', 'transport_multimodal'
+];
+
+// Every row binds one parameter per column; Postgres allows 65535 per query
+const MAX_BATCH_SIZE = Math.floor(65535 / TRIP_COLUMNS.length);
+
+const KEY_COLUMNS = ['provider', 'route_url', 'departure_time', 'operator_name'];
+const UPDATE_COLUMNS = TRIP_COLUMNS.filter(col => !KEY_COLUMNS.includes(col));
+const col = (name) => TRIP_COLUMNS.indexOf(name);
+
+// Map a raw scraped record to a row in TRIP_COLUMNS order, collecting the
+// reasons it cannot be imported instead of throwing. Records without their own
+// "Price in INR" are converted with the rate valid on the scrape date. Origin
+// and destination are resolved to canonical locations where an alias is known,
+// and the transport type is classified.
+const normalizeTrip = (t, provider, { rates, locations, scrapeDate }) => {
+  const errors = [];
+
+  if (!t || typeof t !== 'object' || Array.isArray(t)) {
+    return { row: null, errors: ['record is not an object'] };
+  }
+
+  const price = parsePriceNumber(t.Price);
+  const departureTime = parseTimestamp(t['Departure Time']);
+  const arrivalTime = parseTimestamp(t['Arrival Time']);
+  const currency = String(t.currency || provider.defaultCurrency).toUpperCase();
+
+  if (!t.route_url) errors.push('missing route_url');
+  if (price === null) errors.push('missing or invalid price');
+  else if (price <= 0) errors.push('price must be greater than zero');
+  if (!t['Departure Time']) errors.push('missing departure time');
+  else if (!departureTime) errors.push('invalid departure time');
+  if (!t['Arrival Time']) errors.push('missing arrival time');
+  else if (!arrivalTime) errors.push('invalid arrival time');
+
+  let priceInr = parsePriceNumber(t['Price in INR']);
+  if (priceInr === null && price !== null) {
+    priceInr = rates.convert(price, currency, 'INR', scrapeDate);
+    if (priceInr === null) {
+      errors.push(`no ${currency}->INR rate on or before ${scrapeDate}`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { row: null, errors };
+  }
+
+  const origin = t.From ? locations.resolve(t.From) : null;
+  const destination = t.To ? locations.resolve(t.To) : null;
+  const transport = classifyTransportType(t['Transport Type']);
+
+  return {
+    row: [
+      t.route_url,
+      t.From || null,
+      t.To || null,
+      departureTime,
+      arrivalTime,
+      t['Transport Type'] || null,
+      parseDurationMinutes(t.Duration) || 0,
+      price,
+      priceInr,
+      currency,
+      parseDate(t.Date),
+      t.Operator || null,
+      t.provider || provider.name,
+      origin ? origin.locationId : null,
+      origin ? origin.cityId : null,
+      destination ? destination.locationId : null,
+      destination ? destination.cityId : null,
+      transport ? transport.mode : null,
+      transport ? transport.class : null,
+      transport ? transport.multimodal : null
+    ],
+    errors
+  };
+};
+
+const rowKey = (row) => JSON.stringify([
+  row[col('provider')],
+  row[col('route_url')],
+  row[col('departure_time')],
+  row[col('operator_name')] || ''
+]);
+
+// Upsert one batch in a transaction and log what changed against the run.
+// Rows whose values are identical to the stored trip are left untouched, but
+// every row is still recorded as a price observation of this scrape.
+const upsertBatch = async (pool, table, { runId, scrapedAt }, batch) => {
+  // ON CONFLICT cannot touch the same row twice, so keep the last copy of a
+  // key; the earlier copies are reported as duplicates, not as updates
+  const byKey = new Map();
+  batch.forEach(row => byKey.set(rowKey(row), row));
+  const rows = [...byKey.values()];
+  const duplicates = batch.length - rows.length;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const keyParams = [];
+    const keyTuples = rows.map(row => {
+      keyParams.push(row[col('provider')], row[col('route_url')], row[col('departure_time')], row[col('operator_name')] || '');
+      const base = keyParams.length - 4;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4})`;
+    });
+    const keyMatch = `(provider, route_url, departure_time, COALESCE(operator_name, '')) IN (${keyTuples.join(',')})`;
+    const existing = await client.query(
+      `SELECT id, to_jsonb(t) AS previous FROM ${table} t WHERE ${keyMatch}`,
+      keyParams
+    );
+    const previousById = new Map(existing.rows.map(row => [String(row.id), row.previous]));
+
+    const width = TRIP_COLUMNS.length;
+    const values = rows.map((_, idx) => {
+      const base = idx * width;
+      return `(${TRIP_COLUMNS.map((__, i) => `$${base + i + 1}`).join(',')})`;
+    }).join(',');
+
+    const upserted = await client.query({
+      text: `
+        INSERT INTO ${table} AS t (${TRIP_COLUMNS.join(', ')})
+        VALUES ${values}
+        ON CONFLICT (${NATURAL_KEY}) DO UPDATE
+        SET ${UPDATE_COLUMNS.map(name => `${name} = EXCLUDED.${name}`).join(', ')}
+        WHERE (${UPDATE_COLUMNS.map(name => `t.${name}`).join(', ')})
+          IS DISTINCT FROM (${UPDATE_COLUMNS.map(name => `EXCLUDED.${name}`).join(', ')})
+        RETURNING id, (xmax = 0) AS inserted
+      `,
+      values: rows.flat()
+    });
+
+    await recordChanges(client, runId, upserted.rows, previousById);
+
+    const runParam = keyParams.length + 1;
+    const scrapedParam = keyParams.length + 2;
+    await client.query(
+      `INSERT INTO price_observations (
+         trip_id, run_id, provider, origin, destination, travel_date, departure_time,
+         operator_name, transport_type, price, price_inr, currency, scraped_at
+       )
+       SELECT id, $${runParam}, provider, origin, destination, travel_date, departure_time,
+              operator_name, transport_type, price, price_inr, currency, $${scrapedParam}
+       FROM ${table}
+       WHERE ${keyMatch}`,
+      [...keyParams, runId, scrapedAt]
+    );
+    await client.query(
+      `UPDATE ${table} SET scraped_at = $${runParam}
+       WHERE ${keyMatch} AND (scraped_at IS NULL OR scraped_at < $${runParam})`,
+      [...keyParams, scrapedAt]
+    );
+
+    await client.query('COMMIT');
+
+    const inserted = upserted.rows.filter(row => row.inserted).length;
+    return {
+      inserted,
+      updated: upserted.rows.length - inserted,
+      unchanged: rows.length - upserted.rows.length,
+      duplicates
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Stream a scrape file into a provider's trips table, upserting on the natural
+// key and recording the run. With dryRun nothing is written and the returned
+// report only describes what would be imported. scrapedAt is stored with every
+// observation and picks the currency rates; it defaults to the file's
+// modification time.
+const importFile = async ({
+  provider,
+  filePath,
+  format = detectFormat(filePath),
+  scrapedAt = fs.statSync(filePath).mtime,
+  dryRun = false,
+  batchSize = DEFAULT_BATCH_SIZE,
+  onProgress = () => {}
+}) => {
+  if (!(batchSize >= 1 && batchSize <= MAX_BATCH_SIZE)) {
+    throw new Error(`Batch size must be between 1 and ${MAX_BATCH_SIZE}, got ${batchSize}`);
+  }
+
+  const start = Date.now();
+  const report = {
+    provider: provider.name,
+    table: provider.table,
+    file: filePath,
+    format,
+    dryRun,
+    scrapedAt: parseTimestamp(scrapedAt),
+    scrapeDate: parseDate(scrapedAt),
+    runId: null,
+    total: 0,
+    valid: 0,
+    rejected: 0,
+    inserted: 0,
+    updated: 0,
+    unchanged: 0,
+    duplicates: 0,
+    rejectReasons: {},
+    rejectedRows: [],
+    unmappedLocations: {},
+    alerts: 0
+  };
+
+  const reject = (index, reasons, record) => {
+    report.rejected++;
+    reasons.forEach(reason => {
+      report.rejectReasons[reason] = (report.rejectReasons[reason] || 0) + 1;
+    });
+    if (report.rejectedRows.length < MAX_REJECTED_SAMPLES) {
+      report.rejectedRows.push({ index, reasons, record });
+    }
+  };
+
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    if (!dryRun) {
+      const counts = await upsertBatch(provider.pool, provider.table, report, batch);
+      report.inserted += counts.inserted;
+      report.updated += counts.updated;
+      report.unchanged += counts.unchanged;
+      report.duplicates += counts.duplicates;
+    }
+    batch = [];
+    onProgress(report);
+  };
+
+  const rates = await getRateTable({ refresh: true });
+  const locations = await getLocationTable({ refresh: true });
+
+  // Without a rate for the provider's currency every record lacking its own
+  // INR price would be rejected, so refuse the whole run up front
+  const currency = provider.defaultCurrency;
+  if (currency && rates.rate(currency, 'INR', report.scrapeDate) === null) {
+    throw new Error(
+      `No ${currency}->INR rate on or before ${report.scrapeDate}. ` +
+      `Add one with "npm run rates -- set ${currency} INR <rate> --date=<YYYY-MM-DD>".`
+    );
+  }
+
+  if (!dryRun) {
+    const pending = await pendingMigrations(provider);
+    if (pending.length > 0) {
+      throw new Error(
+        `${provider.table} has pending migrations (${pending.join(', ')}). ` +
+        `Run "npm run migrate -- up ${provider.name}" first.`
+      );
+    }
+    report.runId = await startRun(provider.pool, {
+      provider: provider.name,
+      table: provider.table,
+      file: filePath,
+      format
+    });
+  }
+
+  try {
+    for await (const { index, record, error } of readRecords(filePath, format)) {
+      report.total++;
+
+      if (error) {
+        reject(index, [error], null);
+        continue;
+      }
+
+      const { row, errors } = normalizeTrip(record, provider, { rates, locations, scrapeDate: report.scrapeDate });
+      if (!row) {
+        reject(index, errors, record);
+        continue;
+      }
+
+      // Names without a canonical location, for review in /api/admin/locations/unmapped
+      [['origin', 'origin_location_id'], ['destination', 'destination_location_id']].forEach(([name, id]) => {
+        const value = row[col(name)];
+        if (value && row[col(id)] === null) {
+          report.unmappedLocations[value] = (report.unmappedLocations[value] || 0) + 1;
+        }
+      });
+
+      report.valid++;
+      batch.push(row);
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+  } catch (error) {
+    if (report.runId) {
+      await finishRun(provider.pool, report.runId, report, error);
+      await invalidateTags(providerTags([provider])); // earlier batches are committed
+    }
+    throw error;
+  }
+
+  if (report.runId) {
+    await finishRun(provider.pool, report.runId, report);
+    // Every scrape adds price observations, so drop cached results even when
+    // no trip changed
+    await invalidateTags(providerTags([provider]));
+
+    // A failing watch or webhook must not fail the import, and the import
+    // does not wait for the webhooks (see flushDeliveries)
+    try {
+      const { alerts } = await evaluateWatches({ providers: [provider], waitForDelivery: false });
+      report.alerts = alerts.length;
+    } catch (error) {
+      logger.error('❌ Could not evaluate price watches', error);
+    }
+  }
+
+  report.elapsedSeconds = Number(((Date.now() - start) / 1000).toFixed(1));
+  return report;
+};
+
+module.exports = {
+  TRIP_COLUMNS,
+  MAX_BATCH_SIZE,
+  normalizeTrip,
+  importFile
+};
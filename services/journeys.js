@@ -0,0 +1,218 @@
+const { settleProviders, allAnswered, cachedStatus } = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+const { getLocationTable } = require('./locations');
+
+// Itineraries of up to maxLegs trips from an origin to a destination, with
+// the first leg departing on the travel date. The trips tables are searched
+// breadth-first: every layer reads the departures from the stops reached so
+// far within the connection window, one query per provider. Legs connect at
+// the same canonical city when both places have one, otherwise at the same
+// name ignoring case and punctuation. Searches that hit LEGS_PER_QUERY or
+// MAX_PARTIAL_JOURNEYS are reported as truncated.
+
+const MAX_LEGS = 4;
+const LEGS_PER_QUERY = 2000; // cheapest departures read per provider and layer
+const MAX_PARTIAL_JOURNEYS = 1000; // cheapest unfinished journeys kept per layer
+
+const SORTS = {
+  price: (a, b) => a.total_price_inr - b.total_price_inr || a.total_duration_min - b.total_duration_min,
+  duration: (a, b) => a.total_duration_min - b.total_duration_min || a.total_price_inr - b.total_price_inr
+};
+
+// A provider's status over all layers: its worst one, with the times summed
+const STATUS_RANK = ['ok', 'degraded', 'failed'];
+const mergeStatus = (total, layer) => {
+  Object.entries(layer).forEach(([name, entry]) => {
+    const previous = total[name];
+    if (!previous) {
+      total[name] = entry;
+      return;
+    }
+    const worst = STATUS_RANK.indexOf(entry.status) >= STATUS_RANK.indexOf(previous.status) ? entry : previous;
+    total[name] = { ...worst, duration_ms: previous.duration_ms + entry.duration_ms };
+  });
+  return total;
+};
+
+// Same normalization in JS and SQL, so unmapped names can be fetched by key.
+// Migration 009 indexes NAME_KEY_SQL('origin'); keep them identical.
+const nameKey = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const NAME_KEY_SQL = (column) => `TRIM(REGEXP_REPLACE(LOWER(${column}), '[^[:alnum:]]+', ' ', 'g'))`;
+
+// Stops are { cityId, name }; names only decide when either lacks a city
+const sameStop = (a, b) => (a.cityId && b.cityId ? a.cityId === b.cityId : a.name === b.name);
+
+// Departures from any of the cities or names between two epoch seconds, and
+// whether more than LEGS_PER_QUERY matched. Timestamps are compared as UTC
+// wall-clock times, like EXTRACT(EPOCH) reads them. Cities and names are
+// separate queries so each can use its index.
+async function fetchLegs({ name, pool, table }, { cityIds, names, from, to }) {
+  const departures = (stopCondition) => `
+    SELECT id, origin, destination, departure_time, arrival_time, transport_type, duration_min,
+           price, price_inr, currency, operator_name, route_url, origin_city_id, destination_city_id,
+           EXTRACT(EPOCH FROM departure_time) AS _dep, EXTRACT(EPOCH FROM arrival_time) AS _arr
+    FROM ${table}
+    WHERE ${stopCondition}
+      AND departure_time BETWEEN (to_timestamp($3) AT TIME ZONE 'UTC') AND (to_timestamp($4) AT TIME ZONE 'UTC')
+      AND arrival_time > departure_time
+      AND price_inr > 0`;
+
+  const rows = await safeQuery(
+    pool,
+    `${departures('origin_city_id = ANY($1::int[])')}
+     UNION
+     ${departures(`${NAME_KEY_SQL('origin')} = ANY($2::text[])`)}
+     ORDER BY price_inr, departure_time
+     LIMIT $5`,
+    [cityIds, names, from, to, LEGS_PER_QUERY + 1]
+  );
+
+  return {
+    truncated: rows.length > LEGS_PER_QUERY,
+    legs: rows.slice(0, LEGS_PER_QUERY).map(row => ({
+      ...row,
+      source: name,
+      _dep: parseFloat(row._dep),
+      _arr: parseFloat(row._arr),
+      _from: { cityId: row.origin_city_id, name: nameKey(row.origin) },
+      _to: { cityId: row.destination_city_id, name: nameKey(row.destination) }
+    }))
+  };
+}
+
+// A place given by name, with its canonical city when it has one
+const resolvePlace = (name, locations) => {
+  const resolved = locations.resolve(name);
+  return { cityId: resolved ? resolved.cityId : null, name: nameKey(name) };
+};
+
+// Departures of a layer looked up by the stop they leave from
+const indexLegs = (legs) => {
+  const byCity = new Map();
+  const byName = new Map();
+  const add = (map, key, leg) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(leg);
+  };
+  legs.forEach(leg => {
+    if (leg._from.cityId) add(byCity, leg._from.cityId, leg);
+    add(byName, leg._from.name, leg);
+  });
+
+  return (stop) => {
+    const byStopName = byName.get(stop.name) || [];
+    if (!stop.cityId) return byStopName;
+    return [...(byCity.get(stop.cityId) || []), ...byStopName.filter(leg => !leg._from.cityId)];
+  };
+};
+
+const toJourney = (legs) => {
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+  return {
+    total_price_inr: Math.round(legs.reduce((sum, leg) => sum + parseFloat(leg.price_inr), 0) * 100) / 100,
+    total_duration_min: Math.round((last._arr - first._dep) / 60),
+    transfers: legs.length - 1,
+    providers: [...new Set(legs.map(leg => leg.source))],
+    connections: legs.slice(1).map((leg, i) => ({
+      at: leg.origin,
+      minutes: Math.round((leg._dep - legs[i]._arr) / 60)
+    })),
+    legs: legs.map(({ _dep, _arr, _from, _to, ...leg }) => leg)
+  };
+};
+
+async function searchJourneys(providers, { origin, destination, travelDate, maxLegs, minConnection, maxConnection, mixProviders }) {
+  const locations = await getLocationTable();
+  const start = resolvePlace(origin, locations);
+  const end = resolvePlace(destination, locations);
+
+  const dayStart = Date.parse(`${travelDate}T00:00:00Z`) / 1000;
+  let partial = [{ legs: [], price: 0, visited: [start] }];
+  const found = [];
+  let truncated = false;
+  // A provider that fails is left out of the later layers
+  let answering = providers;
+  const status = {};
+
+  for (let depth = 0; depth < maxLegs && partial.length > 0; depth++) {
+    const arrivals = partial.map(path => path.legs[path.legs.length - 1]);
+    const stops = depth === 0 ? [start] : arrivals.map(leg => leg._to);
+    const query = {
+      cityIds: [...new Set(stops.filter(stop => stop.cityId).map(stop => stop.cityId))],
+      names: [...new Set(stops.map(stop => stop.name))],
+      from: depth === 0 ? dayStart : Math.min(...arrivals.map(leg => leg._arr)) + minConnection * 60,
+      to: depth === 0 ? dayStart + 24 * 60 * 60 - 1 : Math.max(...arrivals.map(leg => leg._arr)) + maxConnection * 60
+    };
+
+    const settled = await settleProviders(answering, provider => fetchLegs(provider, query));
+    mergeStatus(status, settled.status);
+    answering = answering.filter(provider => settled.status[provider.name].status !== 'failed');
+    const fetched = Object.values(settled.results);
+    truncated = truncated || fetched.some(result => result.truncated);
+    const departuresFrom = indexLegs(fetched.flatMap(result => result.legs));
+
+    const next = [];
+    partial.forEach(path => {
+      const last = path.legs[path.legs.length - 1];
+      departuresFrom(last ? last._to : start).forEach(leg => {
+        if (last) {
+          const wait = (leg._dep - last._arr) / 60;
+          if (wait < minConnection || wait > maxConnection) return;
+          if (!mixProviders && leg.source !== path.legs[0].source) return;
+        }
+        if (path.visited.some(stop => sameStop(stop, leg._to))) return;
+
+        const legsSoFar = [...path.legs, leg];
+        if (sameStop(leg._to, end)) {
+          found.push(legsSoFar);
+        } else if (depth + 1 < maxLegs) {
+          next.push({
+            legs: legsSoFar,
+            price: path.price + parseFloat(leg.price_inr),
+            visited: [...path.visited, leg._to]
+          });
+        }
+      });
+    });
+
+    truncated = truncated || next.length > MAX_PARTIAL_JOURNEYS;
+    partial = next.sort((a, b) => a.price - b.price).slice(0, MAX_PARTIAL_JOURNEYS);
+  }
+
+  return { truncated, status, journeys: found.map(toJourney) };
+}
+
+// { total, truncated, journeys, status } ranked by total price or duration,
+// prices in INR. truncated means cheaper legs were cut off, so journeys may be
+// missing; status is the settleProviders status of the whole search.
+const findJourneys = async (providers, options) => {
+  const { sortBy = 'price', limit = 20 } = options;
+  const cacheKey = `journeys_${JSON.stringify({
+    ...options,
+    origin: options.origin.toLowerCase(),
+    destination: options.destination.toLowerCase(),
+    providers: providers.map(p => p.name)
+  })}`;
+
+  const cached = await getFromCache(cacheKey);
+  if (cached) {
+    return { ...cached, status: cachedStatus(providers) };
+  }
+
+  const { truncated, status, journeys } = await searchJourneys(providers, options);
+  journeys.sort(SORTS[sortBy]);
+  const result = { total: journeys.length, truncated, journeys: journeys.slice(0, limit) };
+  if (allAnswered(status)) {
+    await setInCache(cacheKey, result, { tags: providerTags(providers) });
+  }
+  return { ...result, status };
+};
+
+module.exports = {
+  MAX_LEGS,
+  SORTS,
+  NAME_KEY_SQL,
+  findJourneys
+};
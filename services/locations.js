@@ -0,0 +1,313 @@
+const { getCorePool } = require('../config/database');
+const { getProviders, mapProviders } = require('../config/providers');
+const { safeQuery } = require('../utils/db');
+const { invalidateTags, providerTags } = require('../utils/cache');
+const { ValidationError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+// Canonical locations shared by all providers. A location is a city or a
+// station (airport, pier, bus terminal) belonging to a city; raw origin and
+// destination names are mapped to them through aliases. The importer stores
+// the resolved location and city ids on every trip, so the provider databases
+// can filter and group by canonical city without the core database.
+
+const LOCATIONS_TTL = 10 * 60 * 1000; // reload locations every 10 minutes
+const KINDS = ['city', 'station'];
+// Names per UPDATE when remapping trips
+const REMAP_CHUNK_SIZE = 5000;
+
+let locationTable = null;
+let locationTableLoadedAt = 0;
+
+const createLocationsSchema = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS locations (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('city', 'station')),
+      city_id INTEGER REFERENCES locations(id),
+      country CHAR(2),
+      code TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK ((kind = 'city') = (city_id IS NULL))
+    );
+
+    CREATE TABLE IF NOT EXISTS location_aliases (
+      alias_key TEXT PRIMARY KEY,
+      alias TEXT NOT NULL,
+      location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS location_aliases_location_id_idx ON location_aliases (location_id);
+  `);
+};
+
+// Ensured once per pool rather than on every location lookup or edit
+const schemaReady = new WeakMap();
+
+const ensureLocationsSchema = (pool = getCorePool()) => {
+  if (!schemaReady.has(pool)) {
+    schemaReady.set(pool, createLocationsSchema(pool).catch((error) => {
+      schemaReady.delete(pool);
+      throw error;
+    }));
+  }
+  return schemaReady.get(pool);
+};
+
+// Lookup key of a raw name: accents, case, punctuation and repeated spaces
+// are ignored, so "Bangkok (Suvarnabhumi)" and "bangkok suvarnabhumi" match
+const locationKey = (name) =>
+  String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// `resolve(name)` returns { locationId, cityId } or null for unknown names
+const buildLocationTable = (locations, aliases) => {
+  const byId = new Map(locations.map(location => [location.id, location]));
+  const byKey = new Map(aliases.map(({ alias_key, location_id }) => [alias_key, location_id]));
+
+  const resolve = (name) => {
+    const locationId = byKey.get(locationKey(name));
+    const location = locationId && byId.get(locationId);
+    if (!location) return null;
+    return { locationId, cityId: location.city_id || location.id };
+  };
+
+  return { byId, resolve };
+};
+
+const loadLocationTable = async (pool = getCorePool()) => {
+  await ensureLocationsSchema(pool);
+  const [locations, aliases] = await Promise.all([
+    pool.query('SELECT id, name, kind, city_id, country, code FROM locations ORDER BY id'),
+    pool.query('SELECT alias_key, location_id FROM location_aliases')
+  ]);
+  return buildLocationTable(locations.rows, aliases.rows);
+};
+
+// Cached location table shared by the API and importer
+const getLocationTable = async ({ refresh = false } = {}) => {
+  if (!locationTable || refresh || Date.now() - locationTableLoadedAt > LOCATIONS_TTL) {
+    locationTable = await loadLocationTable();
+    locationTableLoadedAt = Date.now();
+  }
+  return locationTable;
+};
+
+const listLocations = async ({ kind, country, q } = {}, pool = getCorePool()) => {
+  await ensureLocationsSchema(pool);
+  const params = [];
+  const conditions = [];
+  if (kind) {
+    params.push(kind);
+    conditions.push(`l.kind = $${params.length}`);
+  }
+  if (country) {
+    params.push(country);
+    conditions.push(`l.country = $${params.length}`);
+  }
+  if (q) {
+    params.push(`%${locationKey(q)}%`);
+    conditions.push(`EXISTS (SELECT 1 FROM location_aliases s WHERE s.location_id = l.id AND s.alias_key LIKE $${params.length})`);
+  }
+
+  const result = await pool.query(
+    `SELECT l.id, l.name, l.kind, l.city_id, l.country, l.code,
+            COALESCE(ARRAY_AGG(a.alias ORDER BY a.alias) FILTER (WHERE a.alias IS NOT NULL), '{}') AS aliases
+     FROM locations l
+     LEFT JOIN location_aliases a ON a.location_id = l.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     GROUP BY l.id
+     ORDER BY l.country NULLS LAST, l.name`,
+    params
+  );
+  return result.rows;
+};
+
+// Map aliases to a location. An alias already used by another location is
+// moved to this one. Returns the aliases whose mapping changed.
+const addAliases = async (locationId, aliases, client) => {
+  const changed = [];
+  for (const alias of aliases) {
+    const key = locationKey(alias);
+    if (!key) continue;
+    const result = await client.query(
+      `INSERT INTO location_aliases (alias_key, alias, location_id) VALUES ($1, $2, $3)
+       ON CONFLICT (alias_key) DO UPDATE SET alias = EXCLUDED.alias, location_id = EXCLUDED.location_id
+       WHERE location_aliases.location_id <> EXCLUDED.location_id
+       RETURNING alias_key`,
+      [key, alias, locationId]
+    );
+    if (result.rowCount > 0) changed.push(alias);
+  }
+  return changed;
+};
+
+const withTransaction = async (pool, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Create a city (no cityId) or a station of a city. Its name and code are
+// aliases too.
+const createLocation = async ({ name, kind, cityId = null, country = null, code = null, aliases = [] }, pool = getCorePool()) => {
+  await ensureLocationsSchema(pool);
+  const location = await withTransaction(pool, async client => {
+    if (cityId) {
+      const city = await client.query(`SELECT id FROM locations WHERE id = $1 AND kind = 'city'`, [cityId]);
+      if (city.rows.length === 0) {
+        throw new ValidationError({ city_id: `location ${cityId} is not a city` });
+      }
+    }
+    const result = await client.query(
+      `INSERT INTO locations (name, kind, city_id, country, code) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [name, kind, kind === 'city' ? null : cityId, country, code]
+    );
+    const created = result.rows[0];
+    await addAliases(created.id, [name, code, ...aliases].filter(Boolean), client);
+    return created;
+  });
+  locationTable = null;
+  return location;
+};
+
+// Returns the aliases whose mapping changed, or null when the location does
+// not exist
+const addLocationAliases = async (locationId, aliases, pool = getCorePool()) => {
+  await ensureLocationsSchema(pool);
+  const changed = await withTransaction(pool, async client => {
+    const location = await client.query('SELECT id FROM locations WHERE id = $1', [locationId]);
+    if (location.rows.length === 0) return null;
+    return addAliases(locationId, aliases, client);
+  });
+  locationTable = null;
+  return changed;
+};
+
+// Re-resolve the origin/destination of every trip of a provider, e.g. after
+// aliases were added. Returns the number of trips whose location changed.
+const remapProviderLocations = async ({ pool, table }, { refresh = false } = {}) => {
+  const { resolve } = await getLocationTable({ refresh });
+  let changed = 0;
+
+  for (const side of ['origin', 'destination']) {
+    const names = await safeQuery(pool, `SELECT DISTINCT ${side} AS name FROM ${table} WHERE ${side} IS NOT NULL`);
+    if (names.length === 0) continue;
+
+    // 3 parameters per name; chunks stay well below Postgres's 65535 limit
+    for (let i = 0; i < names.length; i += REMAP_CHUNK_SIZE) {
+      const params = [];
+      const values = names.slice(i, i + REMAP_CHUNK_SIZE).map(({ name }) => {
+        const resolved = resolve(name);
+        params.push(name, resolved ? resolved.locationId : null, resolved ? resolved.cityId : null);
+        const base = params.length - 3;
+        return `($${base + 1}, $${base + 2}::int, $${base + 3}::int)`;
+      });
+
+      const result = await pool.query(
+        `UPDATE ${table} t
+         SET ${side}_location_id = m.location_id, ${side}_city_id = m.city_id
+         FROM (VALUES ${values.join(',')}) AS m(name, location_id, city_id)
+         WHERE t.${side} = m.name
+           AND (t.${side}_location_id, t.${side}_city_id) IS DISTINCT FROM (m.location_id, m.city_id)`,
+        params
+      );
+      changed += result.rowCount;
+    }
+  }
+  return changed;
+};
+
+// Remap the given providers and drop their cached results when trips changed.
+// Returns { [provider]: changed trips }.
+const remapLocations = async (providers = getProviders()) => {
+  await getLocationTable({ refresh: true });
+  const changed = await mapProviders(providers, provider => remapProviderLocations(provider));
+  const touched = providers.filter(provider => changed[provider.name] > 0);
+  if (touched.length > 0) {
+    await invalidateTags(providerTags(touched));
+  }
+  return changed;
+};
+
+// Remap every provider after the response, since a pass rewrites whole trips
+// tables. Calls during a pass are folded into one more pass after it.
+let remapRunning = false;
+let remapQueued = false;
+
+const scheduleRemap = () => {
+  if (remapRunning) {
+    remapQueued = true;
+    return;
+  }
+  remapRunning = true;
+  remapLocations()
+    .then(changed => logger.info(`🗺️  Remapped trip locations: ${JSON.stringify(changed)}`))
+    .catch(error => logger.error('❌ Background location remap failed', error))
+    .finally(() => {
+      remapRunning = false;
+      if (remapQueued) {
+        remapQueued = false;
+        scheduleRemap();
+      }
+    });
+};
+
+// Raw origin/destination names without a canonical location, most frequent
+// first, with trip counts per provider. Names differing only in case or
+// punctuation are reported once.
+const listUnmappedLocations = async ({ providers = getProviders(), limit = 100 } = {}) => {
+  const byProvider = await mapProviders(providers, ({ pool, table }) =>
+    safeQuery(
+      pool,
+      `SELECT name, COUNT(*) AS trips FROM (
+         SELECT origin AS name FROM ${table} WHERE origin IS NOT NULL AND origin_location_id IS NULL
+         UNION ALL
+         SELECT destination FROM ${table} WHERE destination IS NOT NULL AND destination_location_id IS NULL
+       ) names
+       GROUP BY name`
+    )
+  );
+
+  const names = new Map();
+  Object.entries(byProvider).forEach(([provider, rows]) => {
+    rows.forEach(({ name, trips }) => {
+      const key = locationKey(name);
+      const entry = names.get(key) || { name, trips: 0, spellings: [], providers: {} };
+      if (!entry.spellings.includes(name)) entry.spellings.push(name);
+      entry.trips += parseInt(trips, 10);
+      entry.providers[provider] = (entry.providers[provider] || 0) + parseInt(trips, 10);
+      names.set(key, entry);
+    });
+  });
+
+  const sorted = [...names.values()].sort((a, b) => b.trips - a.trips || a.name.localeCompare(b.name));
+  return { total: sorted.length, names: sorted.slice(0, limit) };
+};
+
+module.exports = {
+  KINDS,
+  locationKey,
+  getLocationTable,
+  listLocations,
+  createLocation,
+  addLocationAliases,
+  remapProviderLocations,
+  remapLocations,
+  scheduleRemap,
+  listUnmappedLocations
+};
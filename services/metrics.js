@@ -0,0 +1,209 @@
+const { getProviders, mapProviders, settleProviders, allAnswered, cachedStatus } = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+
+// Per-provider aggregates behind /api/metrics/*. All metrics of a filter set
+// come from one query per provider and are cached together; prices stay in
+// INR and are converted by the endpoints.
+
+// from/to/transportType match case-insensitively; fromCity/toCity are
+// canonical city ids and transportMode a mode of the transport taxonomy
+const buildMetricFilters = ({ from, to, transportType, transportMode, fromCity, toCity }) => {
+  const params = [];
+  const conditions = [];
+
+  if (from) {
+    conditions.push(`LOWER(origin) = LOWER($${params.length + 1})`);
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push(`LOWER(destination) = LOWER($${params.length + 1})`);
+    params.push(to);
+  }
+
+  if (transportType) {
+    conditions.push(`LOWER(transport_type) = LOWER($${params.length + 1})`);
+    params.push(transportType);
+  }
+
+  if (transportMode) {
+    conditions.push(`transport_mode = $${params.length + 1}`);
+    params.push(transportMode);
+  }
+
+  if (fromCity) {
+    conditions.push(`origin_city_id = $${params.length + 1}`);
+    params.push(fromCity);
+  }
+
+  if (toCity) {
+    conditions.push(`destination_city_id = $${params.length + 1}`);
+    params.push(toCity);
+  }
+
+  return { params, conditions };
+};
+
+// Dimensions of /api/metrics/summary?group_by=
+const GROUP_BY = {
+  route: {
+    select: 'origin, destination',
+    group: 'origin, destination',
+    order: 'trips DESC, origin, destination'
+  },
+  city_route: {
+    select: 'origin_city_id, destination_city_id',
+    group: 'origin_city_id, destination_city_id',
+    order: 'trips DESC, origin_city_id, destination_city_id'
+  },
+  operator: {
+    select: 'operator_name',
+    group: 'operator_name',
+    order: 'trips DESC, operator_name'
+  },
+  transport_type: {
+    select: 'transport_type',
+    group: 'transport_type',
+    order: 'trips DESC, transport_type'
+  },
+  transport_mode: {
+    select: 'transport_mode',
+    group: 'transport_mode',
+    order: 'trips DESC, transport_mode'
+  },
+  travel_date: {
+    select: `TO_CHAR(travel_date, 'YYYY-MM-DD') AS travel_date`,
+    group: `TO_CHAR(travel_date, 'YYYY-MM-DD')`,
+    order: 'travel_date'
+  }
+};
+
+const DEFAULT_SUMMARY_LIMIT = 100;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Every metric for one provider in a single query, one row per group (a
+// single row without groupBy)
+async function getProviderSummary({ pool, table }, filters, { groupBy, limit }) {
+  const { params, conditions } = buildMetricFilters(filters);
+  const group = GROUP_BY[groupBy];
+  params.push(limit);
+
+  const rows = await safeQuery(
+    pool,
+    `SELECT
+      ${group ? `${group.select},` : ''}
+      COUNT(*) AS trips,
+      MIN(price_inr) AS lowest_price,
+      MAX(price_inr) AS highest_price,
+      AVG(price_inr) AS avg_price,
+      COUNT(DISTINCT (origin, destination)) AS unique_routes,
+      COUNT(DISTINCT operator_name) AS unique_providers,
+      (ARRAY_AGG(operator_name ORDER BY price_inr) FILTER (WHERE price_inr IS NOT NULL))[1] AS cheapest_carrier,
+      COUNT(*) OVER () AS total_groups
+    FROM ${table}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ${group ? `GROUP BY ${group.group} ORDER BY ${group.order}` : ''}
+    LIMIT $${params.length}`,
+    params
+  );
+
+  return {
+    total_groups: rows[0] ? parseInt(rows[0].total_groups, 10) : 0,
+    rows: rows.map(({ total_groups, ...row }) => ({
+      ...row,
+      trips: parseInt(row.trips, 10),
+      lowest_price: toNumber(row.lowest_price),
+      highest_price: toNumber(row.highest_price),
+      avg_price: row.avg_price === null ? null : Math.round(parseFloat(row.avg_price) * 100) / 100,
+      unique_routes: parseInt(row.unique_routes, 10),
+      unique_providers: parseInt(row.unique_providers, 10)
+    }))
+  };
+}
+
+// { results: { [provider]: { total_groups, rows } }, status } for all
+// providers, cached per filter set when every provider answered. refresh
+// recomputes and re-caches even when a cached value exists.
+const getSummary = async (filters = {}, { groupBy, limit = DEFAULT_SUMMARY_LIMIT, refresh = false } = {}) => {
+  const providers = getProviders();
+  const cacheKey = `metrics_summary_${JSON.stringify({
+    from: filters.from ? filters.from.toLowerCase() : null,
+    to: filters.to ? filters.to.toLowerCase() : null,
+    transportType: filters.transportType ? filters.transportType.toLowerCase() : null,
+    transportMode: filters.transportMode || null,
+    fromCity: filters.fromCity || null,
+    toCity: filters.toCity || null,
+    groupBy: groupBy || null,
+    limit
+  })}`;
+
+  const cached = refresh ? undefined : await getFromCache(cacheKey);
+  if (cached !== undefined) {
+    return { results: cached, status: cachedStatus(providers) };
+  }
+
+  const { results, status } = await settleProviders(providers, provider =>
+    getProviderSummary(provider, filters, { groupBy, limit })
+  );
+  if (allAnswered(status)) {
+    await setInCache(cacheKey, results, { tags: providerTags(providers) });
+  }
+  return { results, status };
+};
+
+// The single-value metrics of the older /api/metrics/* endpoints, read from
+// the ungrouped summary
+const METRIC_VALUES = {
+  'highest-price': row => row.highest_price || 0,
+  'lowest-price': row => row.lowest_price || 0,
+  'unique-routes': row => row.unique_routes,
+  'unique-providers': row => row.unique_providers,
+  'cheapest-carriers': row => row.cheapest_carrier
+};
+
+// { results: { [provider]: value }, status } of one metric for all providers
+const getMetric = async (metric, filters = {}) => {
+  const { results, status } = await getSummary(filters);
+  return {
+    results: Object.fromEntries(
+      Object.entries(results).map(([name, { rows }]) => [name, METRIC_VALUES[metric](rows[0])])
+    ),
+    status
+  };
+};
+
+// Routes with the most trips across all providers, most popular first
+const getPopularRoutes = async (limit) => {
+  const counts = await mapProviders(getProviders(), ({ pool, table }) =>
+    safeQuery(
+      pool,
+      `SELECT origin, destination, COUNT(*) AS trips
+       FROM ${table}
+       WHERE origin IS NOT NULL AND destination IS NOT NULL
+       GROUP BY origin, destination
+       ORDER BY trips DESC
+       LIMIT $1`,
+      [limit]
+    )
+  );
+
+  const routes = new Map();
+  Object.values(counts).flat().forEach(({ origin, destination, trips }) => {
+    const key = `${origin.toLowerCase()}|${destination.toLowerCase()}`;
+    const route = routes.get(key) || { from: origin, to: destination, trips: 0 };
+    route.trips += parseInt(trips, 10);
+    routes.set(key, route);
+  });
+
+  return [...routes.values()].sort((a, b) => b.trips - a.trips).slice(0, limit);
+};
+
+module.exports = {
+  GROUP_BY,
+  DEFAULT_SUMMARY_LIMIT,
+  getSummary,
+  getMetric,
+  getPopularRoutes
+};
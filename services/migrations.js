@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../utils/logger');
+
+// Versioned schema migrations of the provider trips tables. Each file in
+// migrations/ is <version>_<name>.js and exports { name, up, down }, both
+// called with a client inside a transaction and { table } of the provider.
+// Whatever up returns is stored with the version and passed to down as
+// state, e.g. whether up created the table or adopted an existing one.
+// Applied versions are recorded per table in schema_migrations of the
+// provider database, so providers sharing a database migrate independently.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_[\w-]+\.js$/;
+
+let migrations = null;
+
+// All migrations, oldest first
+const loadMigrations = () => {
+  if (!migrations) {
+    migrations = fs.readdirSync(MIGRATIONS_DIR)
+      .filter(file => FILE_PATTERN.test(file))
+      .map(file => ({ version: parseInt(file.match(FILE_PATTERN)[1], 10), file, ...require(path.join(MIGRATIONS_DIR, file)) }))
+      .sort((a, b) => a.version - b.version);
+
+    const duplicate = migrations.find((migration, i) => i > 0 && migrations[i - 1].version === migration.version);
+    if (duplicate) {
+      throw new Error(`Duplicate migration version ${duplicate.version} (${duplicate.file})`);
+    }
+  }
+  return migrations;
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      table_name TEXT NOT NULL,
+      version INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      state JSONB,
+      PRIMARY KEY (table_name, version)
+    );
+
+    ALTER TABLE schema_migrations ADD COLUMN IF NOT EXISTS state JSONB;
+  `);
+};
+
+const appliedVersions = async (client, table) => {
+  const result = await client.query(
+    'SELECT version, applied_at, state FROM schema_migrations WHERE table_name = $1',
+    [table]
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+};
+
+// Run fn with a client holding the table's migration lock, so an import and
+// the CLI never migrate the same table at once
+const withMigrationLock = async ({ pool, table }, fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [`schema_migrations:${table}`]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`schema_migrations:${table}`]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// state is what up returned when the migration was applied (down only)
+const runMigration = async (client, table, migration, direction, state = null) => {
+  await client.query('BEGIN');
+  try {
+    const result = await migration[direction](client, { table, state });
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (table_name, version, name, state) VALUES ($1, $2, $3, $4)',
+        [table, migration.version, migration.name, result === undefined ? null : JSON.stringify(result)]
+      );
+    } else {
+      await client.query(
+        'DELETE FROM schema_migrations WHERE table_name = $1 AND version = $2',
+        [table, migration.version]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.file} (${direction}) failed on ${table}: ${error.message}`;
+    throw error;
+  }
+};
+
+// [{ version, name, applied_at }] of every migration for a provider;
+// applied_at is null while pending
+const migrationStatus = async (provider) => {
+  const client = await provider.pool.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await appliedVersions(client, provider.table);
+    return loadMigrations().map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.has(version) ? applied.get(version).applied_at : null
+    }));
+  } finally {
+    client.release();
+  }
+};
+
+// Versions not yet applied to a provider's table
+const pendingMigrations = async (provider) =>
+  (await migrationStatus(provider)).filter(migration => !migration.applied_at).map(migration => migration.version);
+
+// Apply pending migrations up to and including version `to` (default: all).
+// Returns the applied versions.
+const migrateUp = async (provider, { to = Infinity } = {}) =>
+  withMigrationLock(provider, async client => {
+    const applied = await appliedVersions(client, provider.table);
+    const pending = loadMigrations().filter(m => !applied.has(m.version) && m.version <= to);
+
+    for (const migration of pending) {
+      await runMigration(client, provider.table, migration, 'up');
+      logger.info(`⬆️  ${provider.name}: applied ${migration.file}`);
+    }
+    return pending.map(m => m.version);
+  });
+
+// Revert the last `steps` applied migrations (default 1), or every applied
+// migration above version `to`. Returns the reverted versions.
+const migrateDown = async (provider, { steps = 1, to } = {}) =>
+  withMigrationLock(provider, async client => {
+    const applied = await appliedVersions(client, provider.table);
+    const revert = loadMigrations()
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .filter((m, i) => (to === undefined ? i < steps : m.version > to));
+
+    for (const migration of revert) {
+      await runMigration(client, provider.table, migration, 'down', applied.get(migration.version).state);
+      logger.info(`⬇️  ${provider.name}: reverted ${migration.file}`);
+    }
+    return revert.map(m => m.version);
+  });
+
+module.exports = {
+  loadMigrations,
+  migrationStatus,
+  pendingMigrations,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,116 @@
+const { settleProviders, allAnswered, cachedStatus } = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+const { buildTripFilters } = require('../utils/tripFilters');
+
+// Operator leaderboard per provider. An operator is "cheapest" on a route/day
+// when one of its departures has the lowest price of that route and travel
+// date; cheapest_rate is that count over the route/days it runs. Zero prices
+// count as departures but not as prices.
+
+const SORT_COLUMNS = {
+  departures: 'departures',
+  routes: 'routes',
+  avg_price: 'avg_price',
+  min_price: 'min_price',
+  cheapest_count: 'cheapest_count',
+  cheapest_rate: 'cheapest_rate',
+  market_share: 'market_share',
+  operator_name: 'operator_name'
+};
+
+const round = (value, digits = 2) =>
+  (value === null ? null : Math.round(parseFloat(value) * 10 ** digits) / 10 ** digits);
+
+async function getProviderOperators({ pool, table }, filters, { sortBy, sortOrder, limit, offset }) {
+  const { conditions, params } = buildTripFilters(filters);
+  conditions.push('operator_name IS NOT NULL');
+  params.push(limit, offset);
+
+  const rows = await safeQuery(
+    pool,
+    `WITH filtered AS (
+      SELECT operator_name, origin, destination, DATE(travel_date) AS day,
+             NULLIF(price_inr, 0) AS price
+      FROM ${table}
+      WHERE ${conditions.join(' AND ')}
+    ),
+    cheapest AS (
+      SELECT operator_name, COUNT(DISTINCT (origin, destination, day)) AS cheapest_count
+      FROM (
+        SELECT *, MIN(price) OVER (PARTITION BY origin, destination, day) AS day_min
+        FROM filtered
+      ) priced
+      WHERE price = day_min
+      GROUP BY operator_name
+    ),
+    operators AS (
+      SELECT
+        operator_name,
+        COUNT(*) AS departures,
+        COUNT(DISTINCT (origin, destination)) AS routes,
+        COUNT(DISTINCT (origin, destination, day)) AS route_days,
+        AVG(price) AS avg_price,
+        MIN(price) AS min_price
+      FROM filtered
+      GROUP BY operator_name
+    )
+    SELECT
+      o.*,
+      COALESCE(c.cheapest_count, 0) AS cheapest_count,
+      COALESCE(c.cheapest_count, 0)::float8 / NULLIF(o.route_days, 0) AS cheapest_rate,
+      o.departures::float8 / SUM(o.departures) OVER () AS market_share,
+      COUNT(*) OVER () AS total_operators
+    FROM operators o
+    LEFT JOIN cheapest c USING (operator_name)
+    ORDER BY ${SORT_COLUMNS[sortBy]} ${sortOrder} NULLS LAST, operator_name
+    LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+
+  return {
+    total: rows[0] ? parseInt(rows[0].total_operators, 10) : 0,
+    operators: rows.map(row => ({
+      operator_name: row.operator_name,
+      departures: parseInt(row.departures, 10),
+      routes: parseInt(row.routes, 10),
+      route_days: parseInt(row.route_days, 10),
+      avg_price: round(row.avg_price),
+      min_price: round(row.min_price),
+      cheapest_count: parseInt(row.cheapest_count, 10),
+      cheapest_rate: round(row.cheapest_rate, 4),
+      market_share: round(row.market_share, 4)
+    }))
+  };
+}
+
+// { results: { [provider]: { total, operators } }, status } for one page of
+// the leaderboard, cached when every provider answered
+const getOperatorStats = async (providers, filters, { sortBy = 'departures', sortOrder = 'DESC', page = 1, limit = 50 } = {}) => {
+  const cacheKey = `operator_stats_${JSON.stringify({
+    ...filters,
+    providers: providers.map(p => p.name),
+    sortBy,
+    sortOrder,
+    page,
+    limit
+  })}`;
+
+  const cached = await getFromCache(cacheKey);
+  if (cached) {
+    return { results: cached, status: cachedStatus(providers) };
+  }
+
+  const { results, status } = await settleProviders(providers, provider =>
+    getProviderOperators(provider, filters, { sortBy, sortOrder, limit, offset: (page - 1) * limit })
+  );
+  if (allAnswered(status)) {
+    await setInCache(cacheKey, results, { tags: providerTags(providers) });
+  }
+  return { results, status };
+};
+
+module.exports = {
+  SORT_COLUMNS,
+  getOperatorStats
+};
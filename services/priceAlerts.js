@@ -0,0 +1,427 @@
+const crypto = require('crypto');
+const { getCorePool } = require('../config/database');
+const { getProviders, getProvider } = require('../config/providers');
+const { safeQuery } = require('../utils/db');
+const { logger } = require('../utils/logger');
+const { getRateTable } = require('./currency');
+
+// Price watches on a route and their alerts. After every import the active
+// watches covering the imported provider are evaluated against the lowest
+// current price of matching trips across the watch's providers:
+//
+//   threshold: the lowest price is at or below max_price (in the watch's
+//              currency), and lower than the price of the last alert
+//   drop:      the lowest price fell by at least drop_percent since the
+//              previous evaluation
+//
+// Triggered alerts are stored and POSTed as JSON to the watch's webhook_url
+// (or ALERT_WEBHOOK_URL), signed with ALERT_WEBHOOK_SECRET when set.
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS, 10) || 5000;
+const WEBHOOK_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.ALERT_WEBHOOK_CONCURRENCY, 10) || 5;
+
+const createAlertsSchema = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS price_watches (
+      id SERIAL PRIMARY KEY,
+      name TEXT,
+      origin TEXT NOT NULL,
+      destination TEXT NOT NULL,
+      start_date DATE,
+      end_date DATE,
+      operator_name TEXT,
+      transport_mode TEXT,
+      providers TEXT[],
+      max_price NUMERIC,
+      currency CHAR(3) NOT NULL DEFAULT 'INR',
+      drop_percent NUMERIC,
+      webhook_url TEXT,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      last_price_inr NUMERIC,
+      last_alert_price_inr NUMERIC,
+      last_evaluated_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      CHECK (max_price IS NOT NULL OR drop_percent IS NOT NULL)
+    );
+
+    CREATE TABLE IF NOT EXISTS price_alerts (
+      id BIGSERIAL PRIMARY KEY,
+      watch_id INTEGER NOT NULL REFERENCES price_watches(id) ON DELETE CASCADE,
+      reason TEXT NOT NULL,
+      provider TEXT NOT NULL,
+      price_inr NUMERIC NOT NULL,
+      previous_price_inr NUMERIC,
+      price NUMERIC,
+      currency CHAR(3),
+      trip JSONB NOT NULL,
+      triggered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      delivery_status TEXT NOT NULL DEFAULT 'pending',
+      delivery_attempts INTEGER NOT NULL DEFAULT 0,
+      delivered_at TIMESTAMPTZ,
+      last_error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS price_alerts_watch_id_idx ON price_alerts (watch_id, triggered_at);
+  `);
+};
+
+// Every watch request and import needs the tables, so they are only ensured
+// once per pool
+const schemaReady = new WeakMap();
+
+const ensureAlertsSchema = (pool = getCorePool()) => {
+  if (!schemaReady.has(pool)) {
+    schemaReady.set(pool, createAlertsSchema(pool).catch((error) => {
+      schemaReady.delete(pool);
+      throw error;
+    }));
+  }
+  return schemaReady.get(pool);
+};
+
+const createWatch = async (watch, pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const result = await pool.query(
+    `INSERT INTO price_watches (
+       name, origin, destination, start_date, end_date, operator_name, transport_mode,
+       providers, max_price, currency, drop_percent, webhook_url, active
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+     RETURNING *`,
+    [
+      watch.name || null,
+      watch.origin,
+      watch.destination,
+      watch.startDate || null,
+      watch.endDate || null,
+      watch.operatorName || null,
+      watch.transportMode || null,
+      watch.providers || null,
+      watch.maxPrice ?? null,
+      watch.currency || 'INR',
+      watch.dropPercent ?? null,
+      watch.webhookUrl || null,
+      watch.active !== false
+    ]
+  );
+  return result.rows[0];
+};
+
+const WATCH_COLUMNS = `id, name, origin, destination,
+  TO_CHAR(start_date, 'YYYY-MM-DD') AS start_date, TO_CHAR(end_date, 'YYYY-MM-DD') AS end_date,
+  operator_name, transport_mode, providers, max_price, currency, drop_percent, webhook_url, active,
+  last_price_inr, last_alert_price_inr, last_evaluated_at, created_at`;
+
+const listWatches = async (pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const result = await pool.query(`SELECT ${WATCH_COLUMNS} FROM price_watches ORDER BY id`);
+  return result.rows;
+};
+
+const getWatch = async (id, pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const result = await pool.query(`SELECT ${WATCH_COLUMNS} FROM price_watches WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+const setWatchActive = async (id, active, pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const result = await pool.query('UPDATE price_watches SET active = $2 WHERE id = $1', [id, active]);
+  return result.rowCount > 0;
+};
+
+const deleteWatch = async (id, pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const result = await pool.query('DELETE FROM price_watches WHERE id = $1', [id]);
+  return result.rowCount > 0;
+};
+
+const listAlerts = async ({ watchId, status, limit = 50 } = {}, pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const params = [];
+  const conditions = [];
+  if (watchId) {
+    params.push(watchId);
+    conditions.push(`watch_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`delivery_status = $${params.length}`);
+  }
+  params.push(limit);
+  const result = await pool.query(
+    `SELECT * FROM price_alerts
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY id DESC
+     LIMIT $${params.length}`,
+    params
+  );
+  return result.rows;
+};
+
+// Cheapest upcoming trip of one provider matching the watch
+async function providerLowest({ name, pool, table }, watch) {
+  const params = [watch.origin, watch.destination];
+  const conditions = [
+    'LOWER(origin) = LOWER($1)',
+    'LOWER(destination) = LOWER($2)',
+    'price_inr > 0',
+    'travel_date >= CURRENT_DATE'
+  ];
+  if (watch.start_date) {
+    params.push(watch.start_date);
+    conditions.push(`travel_date >= $${params.length}`);
+  }
+  if (watch.end_date) {
+    params.push(watch.end_date);
+    conditions.push(`travel_date <= $${params.length}`);
+  }
+  if (watch.operator_name) {
+    params.push(watch.operator_name);
+    conditions.push(`LOWER(operator_name) = LOWER($${params.length})`);
+  }
+  if (watch.transport_mode) {
+    params.push(watch.transport_mode);
+    conditions.push(`transport_mode = $${params.length}`);
+  }
+
+  const rows = await safeQuery(
+    pool,
+    `SELECT id, origin, destination, TO_CHAR(travel_date, 'YYYY-MM-DD') AS travel_date,
+            departure_time, arrival_time, operator_name, transport_type, price, price_inr, currency, route_url
+     FROM ${table}
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY price_inr, departure_time
+     LIMIT 1`,
+    params
+  );
+  return rows[0] ? { ...rows[0], provider: name } : null;
+}
+
+// Lowest trip over the watch's providers. Providers that fail are skipped.
+const watchLowest = async (watch) => {
+  const providers = watch.providers
+    ? watch.providers.map(name => getProvider(name)).filter(Boolean)
+    : getProviders();
+
+  const trips = await Promise.all(providers.map(provider =>
+    providerLowest(provider, watch).catch(error => {
+      logger.error(`❌ Could not evaluate watch ${watch.id} on ${provider.name}`, { error: error.message });
+      return null;
+    })
+  ));
+  return trips
+    .filter(Boolean)
+    .reduce((min, trip) => (!min || parseFloat(trip.price_inr) < parseFloat(min.price_inr) ? trip : min), null);
+};
+
+// Reasons the watch fires for this price, most specific first
+const triggeredReasons = (watch, priceInr, rates) => {
+  const reasons = [];
+  if (watch.max_price !== null) {
+    const price = rates.convert(priceInr, 'INR', watch.currency);
+    const lastAlert = watch.last_alert_price_inr === null ? null : parseFloat(watch.last_alert_price_inr);
+    if (price !== null && price <= parseFloat(watch.max_price) && (lastAlert === null || priceInr < lastAlert)) {
+      reasons.push('threshold');
+    }
+  }
+  if (watch.drop_percent !== null && watch.last_price_inr !== null) {
+    const previous = parseFloat(watch.last_price_inr);
+    if (previous > 0 && ((previous - priceInr) / previous) * 100 >= parseFloat(watch.drop_percent)) {
+      reasons.push('drop');
+    }
+  }
+  return reasons;
+};
+
+const signPayload = (body) =>
+  `sha256=${crypto.createHmac('sha256', process.env.ALERT_WEBHOOK_SECRET).update(body).digest('hex')}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST one alert to its webhook, retrying a few times, and record the outcome
+const deliverAlert = async (alert, watch, pool = getCorePool()) => {
+  const url = watch.webhook_url || process.env.ALERT_WEBHOOK_URL;
+  if (!url) {
+    await pool.query(`UPDATE price_alerts SET delivery_status = 'skipped' WHERE id = $1`, [alert.id]);
+    return 'skipped';
+  }
+
+  const body = JSON.stringify({
+    event: 'price_alert',
+    alert_id: Number(alert.id),
+    reason: alert.reason,
+    price: alert.price === null ? null : parseFloat(alert.price),
+    currency: alert.currency,
+    price_inr: parseFloat(alert.price_inr),
+    previous_price_inr: alert.previous_price_inr === null ? null : parseFloat(alert.previous_price_inr),
+    watch: {
+      id: watch.id,
+      name: watch.name,
+      origin: watch.origin,
+      destination: watch.destination,
+      start_date: watch.start_date,
+      end_date: watch.end_date,
+      max_price: watch.max_price === null ? null : parseFloat(watch.max_price),
+      drop_percent: watch.drop_percent === null ? null : parseFloat(watch.drop_percent)
+    },
+    trip: alert.trip,
+    triggered_at: alert.triggered_at
+  });
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.ALERT_WEBHOOK_SECRET) {
+    headers['X-Alert-Signature'] = signPayload(body);
+  }
+
+  let lastError = null;
+  let attempts = 0;
+  while (attempts < WEBHOOK_ATTEMPTS) {
+    if (attempts > 0) await sleep(RETRY_DELAY_MS * attempts);
+    attempts++;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (response.ok) {
+        lastError = null;
+        break;
+      }
+      lastError = `HTTP ${response.status}`;
+      // The receiver rejected the alert; retrying won't help
+      if (response.status < 500 && response.status !== 429) break;
+    } catch (error) {
+      lastError = error.message;
+    }
+  }
+
+  const status = lastError ? 'failed' : 'delivered';
+  await pool.query(
+    `UPDATE price_alerts
+     SET delivery_status = $2,
+         delivery_attempts = delivery_attempts + $3,
+         delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE delivered_at END,
+         last_error = $4
+     WHERE id = $1`,
+    [alert.id, status, attempts, lastError]
+  );
+  if (lastError) {
+    logger.error(`❌ Alert ${alert.id} for watch ${watch.id} not delivered`, { error: lastError, attempts });
+  }
+  return status;
+};
+
+// Deliveries still running in the background; see flushDeliveries
+const inFlight = new Set();
+
+// Deliver { alert, watch } pairs, at most WEBHOOK_CONCURRENCY at a time, and
+// set each alert's delivery_status. Never rejects: an alert whose delivery
+// throws is logged and stays pending for redelivery.
+const deliverAlerts = (alerts, pool) => {
+  const queue = [...alerts];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { alert, watch } = queue.shift();
+      try {
+        alert.delivery_status = await deliverAlert(alert, watch, pool);
+      } catch (error) {
+        logger.error(`❌ Could not deliver alert ${alert.id}`, { error: error.message });
+      }
+    }
+  };
+
+  const run = Promise.all(Array.from({ length: Math.min(WEBHOOK_CONCURRENCY, queue.length) }, worker));
+  inFlight.add(run);
+  run.then(() => inFlight.delete(run));
+  return run;
+};
+
+// Wait for background deliveries, e.g. before closing the pools on exit
+const flushDeliveries = () => Promise.all([...inFlight]);
+
+// Deliver a stored alert again. Returns null when it does not exist.
+const redeliverAlert = async (alertId, pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const result = await pool.query('SELECT * FROM price_alerts WHERE id = $1', [alertId]);
+  const alert = result.rows[0];
+  if (!alert) return null;
+  return deliverAlert(alert, await getWatch(alert.watch_id, pool), pool);
+};
+
+// Evaluate the active watches that cover any of `providers` (all watches
+// without it) and deliver what they trigger. Returns { evaluated, alerts };
+// with waitForDelivery false the webhooks are still being sent and the alerts
+// are reported as pending.
+const evaluateWatches = async ({ providers, waitForDelivery = true } = {}, pool = getCorePool()) => {
+  await ensureAlertsSchema(pool);
+  const names = providers ? providers.map(provider => provider.name) : null;
+  const watches = await pool.query(
+    `SELECT ${WATCH_COLUMNS} FROM price_watches
+     WHERE active AND ($1::text[] IS NULL OR providers IS NULL OR providers && $1::text[])
+     ORDER BY id`,
+    [names]
+  );
+
+  const rates = await getRateTable();
+  const alerts = [];
+  for (const watch of watches.rows) {
+    const trip = await watchLowest(watch);
+    if (!trip) {
+      await pool.query('UPDATE price_watches SET last_evaluated_at = NOW() WHERE id = $1', [watch.id]);
+      continue;
+    }
+
+    const priceInr = parseFloat(trip.price_inr);
+    const reasons = triggeredReasons(watch, priceInr, rates);
+    for (const reason of reasons) {
+      const inserted = await pool.query(
+        `INSERT INTO price_alerts (watch_id, reason, provider, price_inr, previous_price_inr, price, currency, trip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [
+          watch.id,
+          reason,
+          trip.provider,
+          priceInr,
+          watch.last_price_inr,
+          rates.convert(priceInr, 'INR', watch.currency),
+          watch.currency,
+          trip
+        ]
+      );
+      alerts.push({ alert: inserted.rows[0], watch });
+    }
+
+    await pool.query(
+      `UPDATE price_watches
+       SET last_price_inr = $2,
+           last_alert_price_inr = CASE WHEN $3 THEN $2 ELSE last_alert_price_inr END,
+           last_evaluated_at = NOW()
+       WHERE id = $1`,
+      [watch.id, priceInr, reasons.includes('threshold')]
+    );
+  }
+
+  const deliveries = deliverAlerts(alerts, pool);
+  if (waitForDelivery) await deliveries;
+
+  if (alerts.length > 0) {
+    logger.info(`🔔 ${alerts.length} price alerts triggered by ${watches.rows.length} watches`);
+  }
+  return { evaluated: watches.rows.length, alerts: alerts.map(({ alert }) => alert) };
+};
+
+module.exports = {
+  createWatch,
+  listWatches,
+  getWatch,
+  setWatchActive,
+  deleteWatch,
+  listAlerts,
+  redeliverAlert,
+  evaluateWatches,
+  flushDeliveries
+};
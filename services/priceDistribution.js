@@ -0,0 +1,132 @@
+const { settleProviders, allAnswered, cachedStatus } = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+const { buildTripFilters } = require('../utils/tripFilters');
+
+// Shape of the price_inr distribution per provider: percentiles, mean,
+// standard deviation and a histogram. Zero prices are left out unless
+// includeZero is set. With trim > 0 the histogram spans the trim-th to
+// (100 - trim)-th percentile and prices outside are counted as below/above.
+
+const PERCENTILES = { p10: 0.1, p25: 0.25, p50: 0.5, p75: 0.75, p90: 0.9 };
+const DEFAULT_BUCKETS = 20;
+
+const round = (value) => (value === null || value === undefined ? null : Math.round(parseFloat(value) * 100) / 100);
+
+const pricesQuery = (table, filters, includeZero) => {
+  const { conditions, params } = buildTripFilters(filters);
+  conditions.push(includeZero ? 'price_inr >= 0' : 'price_inr > 0');
+  return {
+    params,
+    sql: `SELECT price_inr::float8 AS price FROM ${table} WHERE ${conditions.join(' AND ')}`
+  };
+};
+
+async function getProviderDistribution({ pool, table }, filters, { buckets, trim, includeZero }) {
+  const prices = pricesQuery(table, filters, includeZero);
+  const fractions = [...Object.values(PERCENTILES), trim / 100, 1 - trim / 100];
+
+  const [stats] = await safeQuery(
+    pool,
+    `SELECT
+      COUNT(*) AS count,
+      AVG(price) AS mean,
+      STDDEV_SAMP(price) AS stddev,
+      MIN(price) AS min,
+      MAX(price) AS max,
+      PERCENTILE_CONT($${prices.params.length + 1}::float8[]) WITHIN GROUP (ORDER BY price) AS percentiles
+    FROM (${prices.sql}) prices`,
+    [...prices.params, fractions]
+  );
+
+  const count = parseInt(stats.count, 10);
+  if (count === 0) {
+    return { count: 0, mean: null, stddev: null, min: null, max: null, median: null, percentiles: null, histogram: null };
+  }
+
+  const values = stats.percentiles.map(parseFloat);
+  const percentiles = Object.fromEntries(Object.keys(PERCENTILES).map((name, i) => [name, round(values[i])]));
+  const low = trim > 0 ? values[values.length - 2] : parseFloat(stats.min);
+  const high = trim > 0 ? values[values.length - 1] : parseFloat(stats.max);
+
+  // width_bucket() needs low < high; a single price value is one bucket
+  const bucketCount = high > low ? buckets : 1;
+  const width = high > low ? (high - low) / bucketCount : 0;
+  const counts = new Array(bucketCount).fill(0);
+  let below = 0;
+  let above = 0;
+
+  const n = prices.params.length;
+  const [lowParam, highParam, countParam] = [`$${n + 1}::float8`, `$${n + 2}::float8`, `$${n + 3}::int`];
+  const rows = await safeQuery(
+    pool,
+    `SELECT bucket, COUNT(*) AS count FROM (
+      SELECT CASE
+        WHEN price < ${lowParam} THEN 0
+        WHEN price > ${highParam} THEN ${countParam} + 1
+        WHEN ${lowParam} = ${highParam} THEN 1
+        ELSE LEAST(width_bucket(price, ${lowParam}, ${highParam}, ${countParam}), ${countParam})
+      END AS bucket
+      FROM (${prices.sql}) prices
+    ) buckets
+    GROUP BY bucket`,
+    [...prices.params, low, high, bucketCount]
+  );
+
+  rows.forEach(row => {
+    const bucket = parseInt(row.bucket, 10);
+    const rowCount = parseInt(row.count, 10);
+    if (bucket === 0) below += rowCount;
+    else if (bucket > bucketCount) above += rowCount;
+    else counts[bucket - 1] += rowCount;
+  });
+
+  return {
+    count,
+    mean: round(stats.mean),
+    stddev: round(stats.stddev),
+    min: round(stats.min),
+    max: round(stats.max),
+    median: percentiles.p50,
+    percentiles,
+    histogram: {
+      buckets: counts.map((bucketTotal, i) => ({
+        from: round(low + i * width),
+        to: round(i === bucketCount - 1 ? high : low + (i + 1) * width),
+        count: bucketTotal
+      })),
+      below,
+      above
+    }
+  };
+}
+
+// { results: { [provider]: distribution }, status } for the selected
+// providers, cached per filter set when every provider answered
+const getPriceDistribution = async (providers, filters, { buckets = DEFAULT_BUCKETS, trim = 0, includeZero = false } = {}) => {
+  const cacheKey = `price_distribution_${JSON.stringify({
+    ...filters,
+    providers: providers.map(p => p.name),
+    buckets,
+    trim,
+    includeZero
+  })}`;
+
+  const cached = await getFromCache(cacheKey);
+  if (cached) {
+    return { results: cached, status: cachedStatus(providers) };
+  }
+
+  const { results, status } = await settleProviders(providers, provider =>
+    getProviderDistribution(provider, filters, { buckets, trim, includeZero })
+  );
+  if (allAnswered(status)) {
+    await setInCache(cacheKey, results, { tags: providerTags(providers) });
+  }
+  return { results, status };
+};
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  getPriceDistribution
+};
@@ -0,0 +1,87 @@
+const { settleProviders, allAnswered, cachedStatus } = require('../config/providers');
+const { getFromCache, setInCache, providerTags } = require('../utils/cache');
+const { safeQuery } = require('../utils/db');
+const { buildTripFilters } = require('../utils/tripFilters');
+
+// Trip counts, unique routes and min/avg price per day, week or month of
+// travel_date or departure_time. Periods without trips between the first and
+// last one are included with zero trips so charts get a continuous axis.
+// Zero prices count as trips but not as prices.
+
+const INTERVALS = { day: '1 day', week: '1 week', month: '1 month' };
+const DATE_FIELDS = ['travel_date', 'departure_time'];
+
+async function getProviderSeries({ pool, table }, filters, { interval, dateField }) {
+  const { conditions, params } = buildTripFilters(filters);
+  conditions.push(`${dateField} IS NOT NULL`);
+  params.push(interval, INTERVALS[interval]);
+  const intervalParam = `$${params.length - 1}`;
+  const stepParam = `$${params.length}::interval`;
+
+  const rows = await safeQuery(
+    pool,
+    `WITH buckets AS (
+      SELECT
+        date_trunc(${intervalParam}, ${dateField}::timestamp) AS period,
+        COUNT(*) AS trips,
+        COUNT(DISTINCT (origin, destination)) AS unique_routes,
+        MIN(NULLIF(price_inr, 0)) AS min_price,
+        AVG(NULLIF(price_inr, 0)) AS avg_price
+      FROM ${table}
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY 1
+    )
+    SELECT
+      TO_CHAR(series.period, 'YYYY-MM-DD') AS period,
+      COALESCE(b.trips, 0) AS trips,
+      COALESCE(b.unique_routes, 0) AS unique_routes,
+      b.min_price,
+      b.avg_price
+    FROM generate_series(
+      (SELECT MIN(period) FROM buckets),
+      (SELECT MAX(period) FROM buckets),
+      ${stepParam}
+    ) AS series(period)
+    LEFT JOIN buckets b ON b.period = series.period
+    ORDER BY series.period`,
+    params
+  );
+
+  return rows.map(row => ({
+    period: row.period,
+    trips: parseInt(row.trips, 10),
+    unique_routes: parseInt(row.unique_routes, 10),
+    min_price: row.min_price === null ? null : parseFloat(row.min_price),
+    avg_price: row.avg_price === null ? null : Math.round(parseFloat(row.avg_price) * 100) / 100
+  }));
+}
+
+// { results: { [provider]: [{ period, trips, unique_routes, min_price, avg_price }] }, status },
+// cached when every provider answered
+const getTimeseries = async (providers, filters, { interval = 'day', dateField = 'travel_date' } = {}) => {
+  const cacheKey = `timeseries_${JSON.stringify({
+    ...filters,
+    providers: providers.map(p => p.name),
+    interval,
+    dateField
+  })}`;
+
+  const cached = await getFromCache(cacheKey);
+  if (cached) {
+    return { results: cached, status: cachedStatus(providers) };
+  }
+
+  const { results, status } = await settleProviders(providers, provider =>
+    getProviderSeries(provider, filters, { interval, dateField })
+  );
+  if (allAnswered(status)) {
+    await setInCache(cacheKey, results, { tags: providerTags(providers) });
+  }
+  return { results, status };
+};
+
+module.exports = {
+  INTERVALS,
+  DATE_FIELDS,
+  getTimeseries
+};
@@ -0,0 +1,100 @@
+// Taxonomy of the free-form "Transport Type" values of the providers ("bus",
+// "VIP Bus", "Van", "Ferry + Bus", ...). Every raw value maps to a mode, a
+// class within the mode and a multimodal flag. A multimodal trip takes the
+// mode of its first leg and lists all of them in `modes`. The importer stores
+// mode, class and flag next to the raw transport_type.
+
+const MODES = ['bus', 'van', 'train', 'ferry', 'flight', 'taxi', 'other'];
+
+// First match wins, so "minibus" is a van and "speedboat" a ferry
+const MODE_PATTERNS = [
+  ['flight', /\b(flight|plane|airplane|airline)\b/],
+  ['ferry', /\b(ferry|boat|speed ?boat|catamaran|longtail|ship)\b/],
+  ['train', /\b(train|rail|railway)\b/],
+  ['van', /\b(van|minivan|mini ?bus)\b/],
+  ['bus', /\b(bus|coach)\b/],
+  ['taxi', /\b(taxi|car|transfer|sedan|suv)\b/]
+];
+
+const CLASS_PATTERNS = [
+  ['sleeper', /\bsleep(er|ing)\b/],
+  ['vip', /\bvip\b/],
+  ['first', /\b(1st|first)\b/],
+  ['second', /\b(2nd|second)\b/],
+  ['third', /\b(3rd|third)\b/],
+  ['express', /\bexpress\b/],
+  ['speedboat', /\bspeed ?boat\b/],
+  ['shared', /\bshared\b/],
+  ['private', /\bprivate\b/]
+];
+
+const CLASSES = [...CLASS_PATTERNS.map(([name]) => name), 'standard'];
+
+// Raw values per UPDATE when classifying trips
+const CLASSIFY_CHUNK_SIZE = 5000;
+
+const LEG_SEPARATOR = /\s*(?:\+|&|->|→|\/|,|\band\b|\bthen\b)\s*/;
+
+const legMode = (leg) => {
+  const match = MODE_PATTERNS.find(([, pattern]) => pattern.test(leg));
+  return match ? match[0] : 'other';
+};
+
+// { mode, class, multimodal, modes } of a raw value, or null when empty
+const classifyTransportType = (raw) => {
+  const value = String(raw || '').trim().toLowerCase();
+  if (!value) return null;
+
+  const modes = [...new Set(value.split(LEG_SEPARATOR).filter(Boolean).map(legMode))];
+  const classMatch = CLASS_PATTERNS.find(([, pattern]) => pattern.test(value));
+
+  return {
+    mode: modes[0] || 'other',
+    class: classMatch ? classMatch[0] : 'standard',
+    multimodal: modes.length > 1,
+    modes
+  };
+};
+
+// Classify the trips of a provider from their raw transport_type. By default
+// only trips that were never classified; with all, every trip (after the
+// taxonomy changed). Returns the number of trips updated. pool may also be a
+// client, e.g. the one a migration runs in.
+const classifyProviderTrips = async ({ pool, table }, { all = false } = {}) => {
+  const { rows: values } = await pool.query(
+    `SELECT DISTINCT transport_type FROM ${table}
+     WHERE transport_type IS NOT NULL ${all ? '' : 'AND transport_mode IS NULL'}`
+  );
+  if (values.length === 0) return 0;
+
+  // 4 parameters per value; chunks stay well below Postgres's 65535 limit
+  let changed = 0;
+  for (let i = 0; i < values.length; i += CLASSIFY_CHUNK_SIZE) {
+    const params = [];
+    const rows = values.slice(i, i + CLASSIFY_CHUNK_SIZE).map(({ transport_type }) => {
+      const { mode, class: subClass, multimodal } = classifyTransportType(transport_type);
+      params.push(transport_type, mode, subClass, multimodal);
+      const base = params.length - 4;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}::boolean)`;
+    });
+
+    const result = await pool.query(
+      `UPDATE ${table} t
+       SET transport_mode = m.mode, transport_class = m.class, transport_multimodal = m.multimodal
+       FROM (VALUES ${rows.join(',')}) AS m(raw, mode, class, multimodal)
+       WHERE t.transport_type = m.raw
+         AND (t.transport_mode, t.transport_class, t.transport_multimodal)
+           IS DISTINCT FROM (m.mode, m.class, m.multimodal)`,
+      params
+    );
+    changed += result.rowCount;
+  }
+  return changed;
+};
+
+module.exports = {
+  MODES,
+  CLASSES,
+  classifyTransportType,
+  classifyProviderTrips
+};
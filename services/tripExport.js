@@ -0,0 +1,204 @@
+const { once } = require('events');
+const Cursor = require('pg-cursor');
+const ExcelJS = require('exceljs');
+const { connect } = require('../utils/db');
+const { buildTripFilters } = require('../utils/tripFilters');
+const { resolveSort, compareRows } = require('./combinedTrips');
+
+// Streams the full /api/combined-trips result as CSV or XLSX. Each provider
+// is read through a server-side cursor in the combined-trips order and the
+// cursors are merged row by row, so memory use does not grow with the export.
+
+const BATCH_SIZE = 1000;
+const XLSX_MAX_ROWS = 1048575; // per sheet, after the header row
+
+// Exportable columns. `source` is the provider the row comes from and
+// `price_converted` is price_inr in the requested currency. Timestamps are
+// exported as written in the database, without a time zone shift.
+const EXPORT_COLUMNS = {
+  source: { type: 'text' },
+  id: { sql: 'id', type: 'number' },
+  origin: { sql: 'origin', type: 'text' },
+  destination: { sql: 'destination', type: 'text' },
+  travel_date: { sql: `TO_CHAR(travel_date, 'YYYY-MM-DD')`, type: 'text' },
+  departure_time: { sql: `TO_CHAR(departure_time, 'YYYY-MM-DD HH24:MI:SS')`, type: 'text' },
+  arrival_time: { sql: `TO_CHAR(arrival_time, 'YYYY-MM-DD HH24:MI:SS')`, type: 'text' },
+  duration_min: { sql: 'duration_min', type: 'number' },
+  transport_type: { sql: 'transport_type', type: 'text' },
+  operator_name: { sql: 'operator_name', type: 'text' },
+  price: { sql: 'price', type: 'number' },
+  currency: { sql: 'currency', type: 'text' },
+  price_inr: { sql: 'price_inr', type: 'number' },
+  price_converted: { sql: 'price_inr', type: 'number' },
+  route_url: { sql: 'route_url', type: 'text' },
+  scraped_at: { sql: `TO_CHAR(scraped_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"')`, type: 'text' }
+};
+
+const DEFAULT_COLUMNS = Object.keys(EXPORT_COLUMNS).filter(column => column !== 'id' && column !== 'scraped_at');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Rows of one provider in export order. Returning early (client gone, error
+// elsewhere) closes the cursor and releases the connection.
+async function* providerRows({ name, pool, table }, filters, sort, columns) {
+  const { conditions, params } = buildTripFilters(filters);
+  const selected = columns
+    .filter(column => EXPORT_COLUMNS[column].sql)
+    .map(column => `${EXPORT_COLUMNS[column].sql} AS ${column}`);
+
+  const { client, release } = await connect(pool);
+  const cursor = client.query(new Cursor(
+    `SELECT ${[...selected, `id AS _id`, `${sort.numericExpr} AS _sort_num`].join(', ')}
+     FROM ${table}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY ${sort.expr} ${sort.order}, id ${sort.order}`,
+    params
+  ));
+
+  try {
+    for (;;) {
+      const rows = await cursor.read(BATCH_SIZE);
+      if (rows.length === 0) return;
+      for (const row of rows) {
+        yield { ...row, id: row._id, source: name };
+      }
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+    await release();
+  }
+}
+
+// Merge already-sorted iterators into one sorted stream
+async function* mergeSorted(iterators, compare) {
+  try {
+    const heads = await Promise.all(iterators.map(async iterator => ({ iterator, next: await iterator.next() })));
+    let live = heads.filter(head => !head.next.done);
+
+    while (live.length > 0) {
+      const head = live.reduce((min, candidate) =>
+        (compare(candidate.next.value, min.next.value) < 0 ? candidate : min));
+      yield head.next.value;
+      head.next = await head.iterator.next();
+      if (head.next.done) {
+        live = live.filter(candidate => candidate !== head);
+      }
+    }
+  } finally {
+    await Promise.all(iterators.map(iterator => iterator.return()));
+  }
+}
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Wait for the client to catch up before producing more rows. A closed
+// stream never drains, so stop waiting then too.
+const drain = (stream) => new Promise(resolve => {
+  if (!stream.writableNeedDrain || stream.destroyed) return resolve();
+  const done = () => {
+    stream.off('drain', done);
+    stream.off('close', done);
+    resolve();
+  };
+  stream.on('drain', done);
+  stream.on('close', done);
+});
+
+const createCsvWriter = (stream, header) => {
+  const write = (values) => stream.write(`${values.map(csvField).join(',')}\r\n`);
+  write(header);
+
+  return {
+    writeRow: async (values) => {
+      write(values);
+      await drain(stream);
+    },
+    end: async () => {
+      stream.end();
+    }
+  };
+};
+
+// Starts a new sheet every XLSX_MAX_ROWS rows, Excel's limit per sheet
+const createXlsxWriter = (stream, header) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+  let sheet = null;
+  let sheetRows = 0;
+  let sheetCount = 0;
+
+  const nextSheet = () => {
+    if (sheet) sheet.commit();
+    sheetCount += 1;
+    sheet = workbook.addWorksheet(sheetCount === 1 ? 'Trips' : `Trips ${sheetCount}`);
+    sheet.addRow(header).commit();
+    sheetRows = 0;
+  };
+  nextSheet();
+
+  return {
+    writeRow: async (values) => {
+      if (sheetRows === XLSX_MAX_ROWS) nextSheet();
+      sheet.addRow(values).commit();
+      sheetRows += 1;
+      await drain(stream);
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+// Write the export to `stream` and resolve with the number of rows. `onStart`
+// runs once the first rows are read, before anything is written, so query
+// errors can still be answered with a normal error response. Stops early
+// without error when the client closes the stream.
+async function exportTrips(stream, providers, filters, { format, columns = DEFAULT_COLUMNS, sortBy, sortOrder, convert, onStart }) {
+  const sort = resolveSort(sortBy, sortOrder);
+  const rows = mergeSorted(
+    providers.map(provider => providerRows(provider, filters, sort, columns)),
+    compareRows(sort)
+  );
+
+  const toValue = (row, column) => {
+    const value = column === 'price_converted'
+      ? (row.price_converted === null ? null : convert(parseFloat(row.price_converted)))
+      : row[column];
+    return EXPORT_COLUMNS[column].type === 'number' && value !== null ? Number(value) : value;
+  };
+
+  let next = await rows.next();
+  if (onStart) onStart();
+
+  const writer = format === 'xlsx' ? createXlsxWriter(stream, columns) : createCsvWriter(stream, columns);
+  let count = 0;
+
+  try {
+    while (!next.done && !stream.destroyed) {
+      await writer.writeRow(columns.map(column => toValue(next.value, column)));
+      count += 1;
+      next = await rows.next();
+    }
+  } finally {
+    await rows.return();
+  }
+
+  if (!stream.destroyed) {
+    await writer.end();
+  }
+  return count;
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  FORMATS,
+  exportTrips
+};
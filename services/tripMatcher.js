@@ -0,0 +1,163 @@
+// Links trips that different providers sell for the same departure: same route,
+// departure times within a tolerance and operator names that fuzzily agree.
+
+const DEFAULT_TOLERANCE_MINUTES = 15;
+const DEFAULT_MIN_SIMILARITY = 0.75;
+
+// Words that vary between providers' spellings of the same operator
+const OPERATOR_NOISE_WORDS = new Set([
+  'the', 'co', 'ltd', 'limited', 'company', 'inc', 'corp', 'group',
+  'tour', 'tours', 'travel', 'transport', 'transportation', 'service', 'services'
+]);
+
+const normalizeOperator = (name) => {
+  if (!name) return '';
+  const words = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  const meaningful = words.filter(word => !OPERATOR_NOISE_WORDS.has(word));
+  return (meaningful.length > 0 ? meaningful : words).join(' ');
+};
+
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(
+        prev[j] + 1,
+        curr[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+// 0..1 score; 1 for identical normalized names, 0.9 when one contains the
+// other ("Lomprayah" vs "Lomprayah High Speed"), else the better of token
+// overlap and edit-distance similarity
+const operatorSimilarity = (a, b) => {
+  const na = normalizeOperator(a);
+  const nb = normalizeOperator(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+  if (na.includes(nb) || nb.includes(na)) return 0.9;
+
+  const ta = new Set(na.split(' '));
+  const tb = new Set(nb.split(' '));
+  const shared = [...ta].filter(token => tb.has(token)).length;
+  const jaccard = shared / new Set([...ta, ...tb]).size;
+  const edit = 1 - levenshtein(na, nb) / Math.max(na.length, nb.length);
+  return Math.max(jaccard, edit);
+};
+
+const routeKey = (trip) =>
+  `${String(trip.origin || '').trim().toLowerCase()}|${String(trip.destination || '').trim().toLowerCase()}`;
+
+const departureMs = (trip) => new Date(trip.departure_time).getTime();
+
+// tripsByProvider: { [provider]: [{ id, origin, destination, departure_time,
+// operator_name, price_inr, ... }] }. Returns one group per matched departure
+// with at most one trip per provider; departures only one provider sells are
+// left out.
+const matchTrips = (tripsByProvider, {
+  toleranceMinutes = DEFAULT_TOLERANCE_MINUTES,
+  minSimilarity = DEFAULT_MIN_SIMILARITY
+} = {}) => {
+  const toleranceMs = toleranceMinutes * 60 * 1000;
+
+  // Bucket by route so only trips on the same route are compared
+  const routes = new Map();
+  Object.entries(tripsByProvider).forEach(([provider, trips]) => {
+    trips.forEach(trip => {
+      if (!trip.departure_time || Number.isNaN(departureMs(trip))) return;
+      const key = routeKey(trip);
+      if (!routes.has(key)) routes.set(key, []);
+      routes.get(key).push({ provider, trip, time: departureMs(trip) });
+    });
+  });
+
+  const groups = [];
+  routes.forEach(candidates => {
+    candidates.sort((a, b) => a.time - b.time);
+    const used = new Set();
+
+    candidates.forEach((seed, seedIndex) => {
+      if (used.has(seedIndex)) return;
+
+      const members = { [seed.provider]: seed };
+      const scores = [];
+      used.add(seedIndex);
+
+      // For every other provider pick the closest unused departure with a
+      // similar enough operator
+      const best = {};
+      for (let i = seedIndex + 1; i < candidates.length; i++) {
+        const candidate = candidates[i];
+        const diff = candidate.time - seed.time;
+        if (diff > toleranceMs) break;
+        if (used.has(i) || candidate.provider === seed.provider) continue;
+
+        const similarity = operatorSimilarity(seed.trip.operator_name, candidate.trip.operator_name);
+        if (similarity < minSimilarity) continue;
+
+        const current = best[candidate.provider];
+        if (!current || diff < current.diff || (diff === current.diff && similarity > current.similarity)) {
+          best[candidate.provider] = { index: i, diff, similarity };
+        }
+      }
+
+      Object.entries(best).forEach(([provider, { index, similarity }]) => {
+        used.add(index);
+        members[provider] = candidates[index];
+        scores.push(similarity);
+      });
+
+      if (Object.keys(members).length < 2) return;
+
+      const times = Object.values(members).map(member => member.time);
+      groups.push({
+        trips: Object.fromEntries(Object.entries(members).map(([provider, member]) => [provider, member.trip])),
+        similarity: Math.min(...scores),
+        departureSpreadMinutes: Math.round((Math.max(...times) - Math.min(...times)) / 60000)
+      });
+    });
+  });
+
+  return groups;
+};
+
+// Cheapest provider and the absolute/percent gap to the most expensive one
+const comparePrices = (pricesByProvider) => {
+  const priced = Object.entries(pricesByProvider).filter(([, price]) => Number.isFinite(price));
+  if (priced.length === 0) {
+    return { cheapest_provider: null, price_gap: null, price_gap_percent: null };
+  }
+
+  priced.sort((a, b) => a[1] - b[1]);
+  const [cheapestProvider, lowest] = priced[0];
+  const highest = priced[priced.length - 1][1];
+  const gap = Math.round((highest - lowest) * 100) / 100;
+
+  return {
+    cheapest_provider: cheapestProvider,
+    price_gap: gap,
+    price_gap_percent: lowest > 0 ? Math.round((gap / lowest) * 10000) / 100 : null
+  };
+};
+
+module.exports = {
+  DEFAULT_TOLERANCE_MINUTES,
+  DEFAULT_MIN_SIMILARITY,
+  normalizeOperator,
+  operatorSimilarity,
+  matchTrips,
+  comparePrices
+};
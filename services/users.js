@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getCorePool } = require('../config/database');
+const { ValidationError } = require('../utils/errors');
+
+// Users and their API keys in the core database. Passwords are stored as
+// scrypt hashes, API keys only as SHA-256 hashes; a key is shown once when it
+// is created.
+
+const ROLES = ['viewer', 'analyst', 'admin'];
+const API_KEY_PREFIX = 'tk_';
+
+const scrypt = promisify(crypto.scrypt);
+
+const createUsersSchema = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      email TEXT NOT NULL,
+      name TEXT,
+      password_hash TEXT,
+      role TEXT NOT NULL CHECK (role IN ('viewer', 'analyst', 'admin')),
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_login_at TIMESTAMPTZ
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS users_email_idx ON users (LOWER(email));
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name TEXT,
+      key_hash TEXT NOT NULL UNIQUE,
+      key_hint TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ,
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    );
+
+    CREATE INDEX IF NOT EXISTS api_keys_user_id_idx ON api_keys (user_id);
+  `);
+};
+
+// API keys are looked up on every request, so the schema is only ensured once
+// per pool
+const schemaReady = new WeakMap();
+
+const ensureUsersSchema = (pool = getCorePool()) => {
+  if (!schemaReady.has(pool)) {
+    schemaReady.set(pool, createUsersSchema(pool).catch((error) => {
+      schemaReady.delete(pool);
+      throw error;
+    }));
+  }
+  return schemaReady.get(pool);
+};
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const USER_COLUMNS = 'id, email, name, role, active, created_at, last_login_at';
+
+// Users without a password can only authenticate with API keys
+const createUser = async ({ email, name = null, password = null, role }, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  try {
+    const result = await pool.query(
+      `INSERT INTO users (email, name, password_hash, role) VALUES ($1, $2, $3, $4)
+       RETURNING ${USER_COLUMNS}`,
+      [email, name, password ? await hashPassword(password) : null, role]
+    );
+    return result.rows[0];
+  } catch (error) {
+    if (error.code === '23505') throw new ValidationError({ email: 'is already registered' });
+    throw error;
+  }
+};
+
+const listUsers = async (pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users ORDER BY id`);
+  return result.rows;
+};
+
+const getUser = async (id, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+// Change role, active, name and/or password. Returns null for unknown users.
+const updateUser = async (id, { role, active, name, password }, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const result = await pool.query(
+    `UPDATE users
+     SET role = COALESCE($2, role),
+         active = COALESCE($3, active),
+         name = COALESCE($4, name),
+         password_hash = COALESCE($5, password_hash)
+     WHERE id = $1
+     RETURNING ${USER_COLUMNS}`,
+    [id, role ?? null, active ?? null, name ?? null, password ? await hashPassword(password) : null]
+  );
+  return result.rows[0] || null;
+};
+
+// The active user with this email and password, or null
+const authenticatePassword = async (email, password, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS}, password_hash FROM users WHERE LOWER(email) = LOWER($1) AND active`,
+    [email]
+  );
+  const user = result.rows[0];
+  if (!user || !(await verifyPassword(password, user.password_hash))) return null;
+
+  await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+  const { password_hash, ...publicUser } = user;
+  return publicUser;
+};
+
+// Returns the key row plus the plain `key`, which is not stored
+const createApiKey = async (userId, { name = null, expiresInDays = null } = {}, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await pool.query(
+    `INSERT INTO api_keys (user_id, name, key_hash, key_hint, expires_at)
+     VALUES ($1, $2, $3, $4, CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + $5::int * INTERVAL '1 day' END)
+     RETURNING id, user_id, name, key_hint, created_at, expires_at`,
+    [userId, name, hashApiKey(key), `${key.slice(0, 7)}…${key.slice(-4)}`, expiresInDays]
+  );
+  return { ...result.rows[0], key };
+};
+
+const listApiKeys = async (userId, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const result = await pool.query(
+    `SELECT id, user_id, name, key_hint, created_at, expires_at, last_used_at, revoked_at
+     FROM api_keys
+     WHERE ($1::int IS NULL OR user_id = $1)
+     ORDER BY id`,
+    [userId]
+  );
+  return result.rows;
+};
+
+// Revoke a key, limited to one user's keys unless userId is null. Returns
+// false when no such active key exists.
+const revokeApiKey = async (id, userId, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const result = await pool.query(
+    `UPDATE api_keys SET revoked_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR user_id = $2)`,
+    [id, userId]
+  );
+  return result.rowCount > 0;
+};
+
+// The active user with this id, or null; used to check that a JWT subject
+// still exists and to pick up role changes
+const getActiveUser = async (id, pool = getCorePool()) => {
+  await ensureUsersSchema(pool);
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND active`, [id]);
+  return result.rows[0] || null;
+};
+
+// The active user owning a valid, unexpired key, or null
+const findUserByApiKey = async (key, pool = getCorePool()) => {
+  if (!String(key).startsWith(API_KEY_PREFIX)) return null;
+  await ensureUsersSchema(pool);
+  const result = await pool.query(
+    `UPDATE api_keys k SET last_used_at = NOW()
+     FROM users u
+     WHERE k.key_hash = $1 AND k.user_id = u.id AND u.active
+       AND k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())
+     RETURNING u.id, u.email, u.name, u.role, k.id AS api_key_id`,
+    [hashApiKey(key)]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  ROLES,
+  createUser,
+  listUsers,
+  getUser,
+  getActiveUser,
+  updateUser,
+  authenticatePassword,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  findUserByApiKey
+};
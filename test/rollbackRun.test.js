@@ -0,0 +1,71 @@
+// Needs a scratch Postgres database: TEST_DATABASE_URL=postgres://... npm test
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const connectionString = process.env.TEST_DATABASE_URL;
+if (connectionString) process.env.CORE_DATABASE_URL = connectionString;
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const { Pool } = require('pg');
+const { closeCorePool } = require('../config/database');
+const { closeCache } = require('../utils/cache');
+const { migrateUp, migrateDown } = require('../services/migrations');
+const { importFile, TRIP_COLUMNS } = require('../services/importer');
+const { rollbackRun } = require('../services/importRuns');
+
+describe('rollbackRun', { skip: !connectionString && 'TEST_DATABASE_URL is not set' }, () => {
+  const pool = new Pool({ connectionString });
+  const provider = { name: 'rollback_test', table: 'rollback_test_trips', pool, defaultCurrency: 'INR' };
+  const target = { provider: provider.name, table: provider.table, columns: TRIP_COLUMNS };
+  const file = path.join(os.tmpdir(), `rollback-test-${process.pid}.ndjson`);
+
+  const tripCount = async () =>
+    parseInt((await pool.query(`SELECT COUNT(*) AS count FROM ${provider.table}`)).rows[0].count, 10);
+
+  before(async () => {
+    fs.writeFileSync(file, `${JSON.stringify({
+      route_url: 'rollback-test-1',
+      From: 'Bangkok',
+      To: 'Pattaya',
+      Price: '500',
+      currency: 'INR',
+      'Departure Time': '2030-01-01T08:00:00',
+      'Arrival Time': '2030-01-01T10:30:00',
+      Operator: 'Test Bus'
+    })}\n`);
+    await migrateUp(provider);
+  });
+
+  after(async () => {
+    fs.unlinkSync(file);
+    await migrateDown(provider, { to: 0 });
+    await Promise.all([pool.end(), closeCorePool(), closeCache()]);
+  });
+
+  it('refuses to undo a run whose trips a later run confirmed', async () => {
+    const first = await importFile({ provider, filePath: file });
+    const second = await importFile({ provider, filePath: file });
+    assert.strictEqual(first.inserted, 1);
+    assert.strictEqual(second.unchanged, 1);
+
+    await assert.rejects(
+      rollbackRun(pool, target, first.runId),
+      new RegExp(`Later import runs \\(${second.runId}\\)`)
+    );
+    assert.strictEqual(await tripCount(), 1);
+
+    const result = await rollbackRun(pool, target, first.runId, { force: true });
+    assert.strictEqual(result.deleted, 1);
+    assert.strictEqual(await tripCount(), 0);
+
+    const orphans = await pool.query(
+      'SELECT COUNT(*) AS count FROM price_observations WHERE run_id = $1',
+      [second.runId]
+    );
+    assert.strictEqual(orphans.rows[0].count, '0');
+  });
+});
@@ -0,0 +1,75 @@
+require('dotenv').config();
+const { closeCorePool } = require('./config/database');
+const { ROLES, createUser, listUsers, createApiKey } = require('./services/users');
+
+const USAGE = `Usage:
+  node users.js list
+  node users.js create <email> <${ROLES.join('|')}> [--password=text] [--name=text]
+  node users.js key <email> [--name=text] [--days=N]
+
+Creates the first admin, e.g. "node users.js create ops@example.com admin
+--password=...". "key" issues an API key; it is printed once and cannot be
+shown again.`;
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+  for (const arg of argv) {
+    if (arg.startsWith('--password=')) args.password = arg.slice('--password='.length);
+    else if (arg.startsWith('--name=')) args.name = arg.slice('--name='.length);
+    else if (arg.startsWith('--days=')) args.days = parseInt(arg.slice('--days='.length), 10);
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option: ${arg}`);
+    else args.positional.push(arg);
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const [command, ...rest] = args.positional;
+
+  if (command === 'list') {
+    const users = await listUsers();
+    if (users.length === 0) {
+      console.log('No users yet');
+      return;
+    }
+    console.table(users);
+    return;
+  }
+
+  if (command === 'create' && rest.length === 2) {
+    const [email, role] = rest;
+    if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    if (args.password !== undefined && args.password.length < 8) {
+      throw new Error('Password must be at least 8 characters');
+    }
+
+    const user = await createUser({ email, role, name: args.name, password: args.password });
+    console.log(`✅ Created ${user.role} ${user.email} (id ${user.id})`);
+    return;
+  }
+
+  if (command === 'key' && rest.length === 1) {
+    if (args.days !== undefined && !(args.days > 0)) throw new Error('--days must be a positive number');
+    const user = (await listUsers()).find(u => u.email.toLowerCase() === rest[0].toLowerCase());
+    if (!user) throw new Error(`No user ${rest[0]}`);
+
+    const apiKey = await createApiKey(user.id, { name: args.name, expiresInDays: args.days });
+    console.log(`✅ API key for ${user.email} (${user.role}), send it as X-API-Key:`);
+    console.log(apiKey.key);
+    return;
+  }
+
+  console.log(USAGE);
+  process.exitCode = args.help ? 0 : 1;
+};
+
+main()
+  .catch((error) => {
+    // Validation errors of the service, e.g. "email is already registered"
+    const fields = error.fields && Object.entries(error.fields).map(([field, message]) => `${field} ${message}`);
+    console.error(`❌ ${fields ? fields.join(', ') : error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => closeCorePool());
@@ -0,0 +1,82 @@
+const jwt = require('jsonwebtoken');
+const { ApiError } = require('./errors');
+const { ROLES, getActiveUser, findUserByApiKey } = require('../services/users');
+
+// Requests authenticate with either `Authorization: Bearer <JWT>` from
+// POST /api/auth/login or an `X-API-Key` header. authenticate sets req.user
+// ({ id, email, name, role }) when credentials are present and rejects invalid
+// ones; requireRole decides which routes need a user at all. Roles are
+// ordered: admin can do everything analyst can, analyst everything viewer can.
+
+const DEFAULT_EXPIRES_IN = '24h';
+
+const unauthorized = (message) => new ApiError(401, message, { code: 'UNAUTHORIZED' });
+
+const jwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new ApiError(503, 'Token authentication is not configured (JWT_SECRET)', { code: 'AUTH_NOT_CONFIGURED' });
+  }
+  return process.env.JWT_SECRET;
+};
+
+// { token, expires_at } for a user
+const signToken = (user) => {
+  const token = jwt.sign({ role: user.role }, jwtSecret(), {
+    subject: String(user.id),
+    expiresIn: process.env.JWT_EXPIRES_IN || DEFAULT_EXPIRES_IN
+  });
+  return { token, expires_at: new Date(jwt.decode(token).exp * 1000).toISOString() };
+};
+
+const userFromToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret());
+  } catch (error) {
+    throw unauthorized(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+
+  // The role comes from the database so role changes and deactivation apply
+  // before the token expires
+  const user = await getActiveUser(parseInt(payload.sub, 10));
+  if (!user) throw unauthorized('Invalid token');
+  return { id: user.id, email: user.email, name: user.name, role: user.role };
+};
+
+const authenticate = async (req, res, next) => {
+  const header = req.get('authorization');
+  const apiKey = req.get('x-api-key');
+
+  if (header) {
+    const [scheme, token] = header.split(' ');
+    if (scheme.toLowerCase() !== 'bearer' || !token) {
+      throw unauthorized('Authorization header must be "Bearer <token>"');
+    }
+    req.user = await userFromToken(token);
+  } else if (apiKey) {
+    const user = await findUserByApiKey(apiKey);
+    if (!user) throw unauthorized('Invalid API key');
+    req.user = user;
+  }
+  next();
+};
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+// 401 without credentials, 403 when the user's role is below `role`
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    throw unauthorized('Authentication required: send a Bearer token or an X-API-Key header');
+  }
+  if (!hasRole(req.user, role)) {
+    throw new ApiError(403, `Requires the ${role} role`, { code: 'FORBIDDEN' });
+  }
+  next();
+};
+
+module.exports = {
+  signToken,
+  authenticate,
+  hasRole,
+  requireRole
+};
@@ -0,0 +1,373 @@
+const { LRUCache } = require('lru-cache');
+const { logger } = require('./logger');
+
+// Cache entries are kept in Redis when REDIS_URL (ioredis) or
+// UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN (Upstash REST) is set, so
+// every server instance and the import CLI see the same entries. Without
+// Redis, or while it is unreachable, the in-process LRU is used instead.
+// Entries are tagged with the providers/tables they were built from and
+// invalidateTags() drops them, e.g. after an import.
+
+// LRU Cache settings
+const CACHE_DURATION = 5 * 60 * 1000; // default TTL: 5 minutes
+const MAX_CACHE_ITEMS = parseInt(process.env.CACHE_MAX_ITEMS, 10) || 500;
+const MAX_CACHE_BYTES = (parseInt(process.env.CACHE_MAX_MB, 10) || 100) * 1024 * 1024;
+const KEY_PREFIX = process.env.CACHE_PREFIX || 'travel-api:cache:';
+// Tag sets only need to outlive the entries they point at
+const TAG_TTL_SECONDS = 24 * 60 * 60;
+
+// Simple cache tracking
+let cacheStats = {
+  hits: 0,
+  misses: 0
+};
+
+// Helper functions
+const safeStringify = (obj) => {
+  try {
+    return typeof obj === 'string' ? obj : JSON.stringify(obj);
+  } catch (e) {
+    logger.error('Error stringifying cache value', e);
+    return 'error';
+  }
+};
+
+const calculateSize = (value, key) => {
+  try {
+    const keyStr = safeStringify(key);
+    const valueStr = safeStringify(value);
+    return Buffer.byteLength(valueStr) + Buffer.byteLength(keyStr);
+  } catch (e) {
+    logger.error('Error calculating cache size', e);
+    return 0;
+  }
+};
+
+// In-process backend: tag -> keys, kept in sync when entries are evicted
+const tagIndex = new Map();
+const keyTags = new Map();
+
+const untagKey = (key) => {
+  (keyTags.get(key) || []).forEach(tag => {
+    const keys = tagIndex.get(tag);
+    if (!keys) return;
+    keys.delete(key);
+    if (keys.size === 0) tagIndex.delete(tag);
+  });
+  keyTags.delete(key);
+};
+
+const tagKey = (key, tags) => {
+  if (tags.length === 0) return;
+  keyTags.set(key, tags);
+  tags.forEach(tag => {
+    if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+    tagIndex.get(tag).add(key);
+  });
+};
+
+const lruCache = new LRUCache({
+  max: MAX_CACHE_ITEMS,
+  maxSize: MAX_CACHE_BYTES,
+  sizeCalculation: (value, key) => Math.max(1, calculateSize(value, key)),
+  ttl: CACHE_DURATION,
+  dispose: (value, key) => untagKey(key)
+});
+
+// Redis backends share one small interface; values are stored as JSON
+const createIoredisBackend = () => {
+  const Redis = require('ioredis');
+  const client = new Redis(process.env.REDIS_URL, {
+    maxRetriesPerRequest: 1,
+    enableOfflineQueue: false
+  });
+  client.on('error', () => {}); // reported by the failing cache call
+
+  return {
+    name: 'redis',
+    get: (key) => client.get(key),
+    set: async (key, value, ttl, tagKeys) => {
+      const multi = client.multi().set(key, value, 'PX', ttl);
+      tagKeys.forEach(tag => multi.sadd(tag, key).expire(tag, TAG_TTL_SECONDS));
+      const results = await multi.exec();
+      const failed = (results || []).find(([error]) => error);
+      if (failed) throw failed[0];
+    },
+    members: (tag) => client.smembers(tag),
+    del: (keys) => client.del(...keys),
+    eval: (script, keys, args) => client.eval(script, keys.length, ...keys, ...args),
+    scan: async (pattern) => {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await client.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+        keys.push(...batch);
+        cursor = next;
+      } while (cursor !== '0');
+      return keys;
+    },
+    // quit() waits for a connection that may never come back
+    close: async () => (client.status === 'ready' ? client.quit() : client.disconnect())
+  };
+};
+
+const createUpstashBackend = () => {
+  const { Redis } = require('@upstash/redis');
+  const client = new Redis({
+    url: process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.UPSTASH_REDIS_REST_TOKEN,
+    automaticDeserialization: false
+  });
+
+  return {
+    name: 'upstash',
+    get: (key) => client.get(key),
+    set: async (key, value, ttl, tagKeys) => {
+      const multi = client.multi().set(key, value, { px: ttl });
+      tagKeys.forEach(tag => multi.sadd(tag, key).expire(tag, TAG_TTL_SECONDS));
+      await multi.exec();
+    },
+    members: (tag) => client.smembers(tag),
+    del: (keys) => client.del(...keys),
+    eval: (script, keys, args) => client.eval(script, keys, args.map(String)),
+    scan: async (pattern) => {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [next, batch] = await client.scan(cursor, { match: pattern, count: 1000 });
+        keys.push(...batch);
+        cursor = String(next);
+      } while (cursor !== '0');
+      return keys;
+    },
+    close: async () => {}
+  };
+};
+
+// CACHE_BACKEND=memory keeps the cache in-process even when Redis is configured.
+// The backend is shared with the rate limiter.
+let redisBackend;
+const getRedis = () => {
+  if (redisBackend !== undefined) return redisBackend;
+
+  redisBackend = null;
+  if (process.env.CACHE_BACKEND !== 'memory') {
+    if (process.env.REDIS_URL) {
+      redisBackend = createIoredisBackend();
+    } else if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
+      redisBackend = createUpstashBackend();
+    }
+  }
+  logger.info(`🗄️  Cache backend: ${redisBackend ? redisBackend.name : 'memory'}`);
+  return redisBackend;
+};
+
+// Log only when Redis goes down or comes back, not on every failed call
+let redisAvailable = true;
+const markRedis = (error) => {
+  if (error && redisAvailable) {
+    logger.warn(`⚠️ Redis cache unavailable, using in-process cache: ${error.message}`);
+  } else if (!error && !redisAvailable) {
+    logger.info('✅ Redis cache available again');
+  }
+  redisAvailable = !error;
+};
+
+const redisKey = (key) => `${KEY_PREFIX}${key}`;
+const redisTagKey = (tag) => `${KEY_PREFIX}tag:${tag}`;
+
+// Cache management functions
+const getFromCache = async (key) => {
+  const cacheKey = safeStringify(key);
+  let value;
+
+  try {
+    const redis = getRedis();
+    if (redis) {
+      try {
+        const raw = await redis.get(redisKey(cacheKey));
+        markRedis();
+        value = raw === null || raw === undefined ? undefined : JSON.parse(raw);
+      } catch (error) {
+        markRedis(error);
+        value = lruCache.get(cacheKey);
+      }
+    } else {
+      value = lruCache.get(cacheKey);
+    }
+  } catch (error) {
+    logger.error('Error getting from cache', error);
+    value = undefined;
+  }
+
+  if (value !== undefined) {
+    cacheStats.hits++;
+    logger.debug('cache hit', { key: cacheKey });
+  } else {
+    cacheStats.misses++;
+    logger.debug('cache miss', { key: cacheKey });
+  }
+  return value;
+};
+
+// ttl in milliseconds; tags as built by providerTags()
+const setInCache = async (key, value, { ttl = CACHE_DURATION, tags = [] } = {}) => {
+  const cacheKey = safeStringify(key);
+
+  try {
+    const redis = getRedis();
+    if (redis) {
+      try {
+        await redis.set(redisKey(cacheKey), JSON.stringify(value), ttl, tags.map(redisTagKey));
+        markRedis();
+        logger.debug('cached', { key: cacheKey, ttl_ms: ttl });
+        return;
+      } catch (error) {
+        markRedis(error);
+      }
+    }
+
+    lruCache.set(cacheKey, value, { ttl });
+    tagKey(cacheKey, tags);
+    cacheStats.currentSize = lruCache.size;
+    logger.debug('cached', { key: cacheKey, ttl_ms: ttl });
+  } catch (error) {
+    logger.error('Error setting cache', error);
+    if (global.gc) {
+      logger.info('Running garbage collection...');
+      global.gc();
+    }
+  }
+};
+
+// Drop every entry carrying any of the tags. Returns the number of entries removed.
+const invalidateTags = async (tags) => {
+  let removed = 0;
+
+  tags.forEach(tag => {
+    [...(tagIndex.get(tag) || [])].forEach(key => {
+      if (lruCache.delete(key)) removed++;
+    });
+  });
+  cacheStats.currentSize = lruCache.size;
+
+  const redis = getRedis();
+  if (redis) {
+    try {
+      for (const tag of tags) {
+        const keys = await redis.members(redisTagKey(tag));
+        // DEL counts the tag set too when it exists
+        removed += Math.max(0, await redis.del([...keys, redisTagKey(tag)]) - 1);
+      }
+      markRedis();
+    } catch (error) {
+      markRedis(error);
+    }
+  }
+
+  logger.info(`🧹 Invalidated ${removed} cache entries`, { tags });
+  return removed;
+};
+
+const escapeGlob = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
+
+// Group keys like combined_trips_{...} or 12go_trips_page1_limit10 by their
+// first two words
+const keyPrefix = (key) => key.split('{')[0].split('_').filter(Boolean).slice(0, 2).join('_');
+
+// Cache entry keys (without KEY_PREFIX), from Redis when reachable
+const listKeys = async (prefix = '') => {
+  const redis = getRedis();
+  if (redis) {
+    try {
+      const keys = await redis.scan(`${KEY_PREFIX}${escapeGlob(prefix)}*`);
+      markRedis();
+      return {
+        backend: redis.name,
+        keys: keys
+          .filter(key => !key.startsWith(redisTagKey('')))
+          .map(key => key.slice(KEY_PREFIX.length))
+      };
+    } catch (error) {
+      markRedis(error);
+    }
+  }
+  return { backend: 'memory', keys: [...lruCache.keys()].filter(key => key.startsWith(prefix)) };
+};
+
+// Hit counts are per process; entries are those of the shared backend
+const getCacheStats = async () => {
+  const { backend, keys } = await listKeys();
+  const byPrefix = {};
+  keys.forEach(key => {
+    const prefix = keyPrefix(key);
+    byPrefix[prefix] = (byPrefix[prefix] || 0) + 1;
+  });
+  const lookups = cacheStats.hits + cacheStats.misses;
+
+  return {
+    backend,
+    hits: cacheStats.hits,
+    misses: cacheStats.misses,
+    hit_ratio: lookups > 0 ? Math.round((cacheStats.hits / lookups) * 10000) / 10000 : null,
+    entries: keys.length,
+    size_bytes: backend === 'memory' ? lruCache.calculatedSize : null,
+    by_prefix: byPrefix
+  };
+};
+
+// Remove one key, or every key starting with prefix ('' removes everything).
+// Returns the number of entries removed.
+const purgeCache = async ({ key, prefix }) => {
+  const keys = key !== undefined
+    ? [safeStringify(key)]
+    : [...new Set([
+      ...[...lruCache.keys()].filter(k => k.startsWith(prefix)),
+      ...(await listKeys(prefix)).keys
+    ])];
+
+  let removed = 0;
+  keys.forEach(k => {
+    if (lruCache.delete(k)) removed++;
+  });
+  cacheStats.currentSize = lruCache.size;
+
+  const redis = getRedis();
+  if (redis && keys.length > 0) {
+    try {
+      let redisRemoved = 0;
+      for (let i = 0; i < keys.length; i += 500) {
+        redisRemoved += await redis.del(keys.slice(i, i + 500).map(redisKey));
+      }
+      removed = Math.max(removed, redisRemoved);
+      markRedis();
+    } catch (error) {
+      markRedis(error);
+    }
+  }
+
+  logger.info(`🧹 Purged ${removed} cache entries`, key !== undefined ? { key } : { prefix });
+  return removed;
+};
+
+// Tags for entries built from these providers' trip tables
+const providerTags = (providers) =>
+  providers.flatMap(({ name, table }) => [`provider:${name}`, `table:${table}`]);
+
+const closeCache = async () => {
+  if (redisBackend) {
+    await redisBackend.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  cacheStats,
+  getRedis,
+  getFromCache,
+  setInCache,
+  invalidateTags,
+  providerTags,
+  getCacheStats,
+  purgeCache,
+  closeCache
+};
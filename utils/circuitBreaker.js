@@ -0,0 +1,70 @@
+// Circuit breaker for one provider database. After failureThreshold
+// consecutive failures the circuit opens and calls fail fast for cooldownMs;
+// then one trial call is let through (half-open). Its success closes the
+// circuit, its failure opens it for another cooldown.
+
+const createCircuitBreaker = ({ failureThreshold = 5, cooldownMs = 30000 } = {}) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+  let lastError = null;
+
+  const refresh = () => {
+    if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+      state = 'half_open';
+      trialInFlight = false;
+    }
+  };
+
+  const open = () => {
+    state = 'open';
+    openedAt = Date.now();
+    trialInFlight = false;
+  };
+
+  return {
+    // Whether a call may go ahead now; in half-open state only one at a time
+    tryAcquire: () => {
+      refresh();
+      if (state === 'closed') return true;
+      if (state === 'half_open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    onSuccess: () => {
+      state = 'closed';
+      failures = 0;
+      trialInFlight = false;
+    },
+
+    onFailure: (error) => {
+      lastError = error.message;
+      failures += 1;
+      if (state === 'half_open' || failures >= failureThreshold) open();
+    },
+
+    // Seconds until a trial call is allowed, 0 unless open
+    retryAfterSeconds: () => {
+      refresh();
+      return state === 'open' ? Math.max(1, Math.ceil((cooldownMs - (Date.now() - openedAt)) / 1000)) : 0;
+    },
+
+    snapshot: () => {
+      refresh();
+      return {
+        state,
+        consecutive_failures: failures,
+        last_error: lastError,
+        opened_at: state === 'closed' ? null : new Date(openedAt).toISOString()
+      };
+    }
+  };
+};
+
+module.exports = {
+  createCircuitBreaker
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const { getRequestContext, runWithContext } = require('./requestContext');
+const { logger } = require('./logger');
+
+// Queries above SLOW_QUERY_MS are logged as warnings, all others at debug
+// level with their fingerprint, duration and row count. Parameters are only
+// logged with LOG_SQL_PARAMS=true.
+const SLOW_QUERY_MS = parseInt(process.env.SLOW_QUERY_MS, 10) || 1000;
+const LOG_SQL_PARAMS = process.env.LOG_SQL_PARAMS === 'true';
+
+// Instrumented pools by name (provider names, 'core') and callbacks run after
+// every query with { pool, durationMs, error }, for the /metrics endpoint
+const namedPools = new Map();
+const poolNames = new WeakMap();
+const queryListeners = [];
+
+const getNamedPools = () => namedPools;
+const onQuery = (listener) => queryListeners.push(listener);
+
+// The rate limiter runs each request with the statement timeout of its cost
+// class; queries outside a request keep the database default
+const withStatementTimeout = (timeoutMs, fn) => runWithContext({ statementTimeout: timeoutMs }, fn);
+
+// SQL with literals and whitespace normalized, and a short hash of it that is
+// the same for every run of the query whatever its values
+const fingerprint = (sql) => {
+  const normalized = sql
+    .replace(/'(?:[^']|'')*'/g, '?')
+    .replace(/(?<![$\w.])\d+(\.\d+)?\b/g, '?')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return {
+    fingerprint: crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 12),
+    sql: normalized
+  };
+};
+
+// Log a finished query; error is set when it failed. Multi-statement queries
+// (schema setup) have no single row count.
+const logQuery = (pool, sql, params, startedAt, { rows, error } = {}) => {
+  const durationMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+  const poolName = poolNames.get(pool) || null;
+  queryListeners.forEach(listener => listener({ pool: poolName, durationMs, error }));
+
+  const slow = durationMs >= SLOW_QUERY_MS;
+  if (!error && !slow && !logger.isLevelEnabled('debug')) return;
+
+  const fields = {
+    pool: poolName,
+    ...fingerprint(sql),
+    duration_ms: durationMs,
+    ...(rows !== undefined && { rows }),
+    ...(LOG_SQL_PARAMS && { params }),
+    ...(error && { error })
+  };
+  if (error) logger.error('db query failed', fields);
+  else if (slow) logger.warn('slow query', fields);
+  else logger.debug('db query', fields);
+};
+
+// Name a pool and log queries run through pool.query() like those of
+// safeQuery. Callback calls are passed through untouched.
+const instrumentPool = (pool, name) => {
+  namedPools.set(name, pool);
+  poolNames.set(pool, name);
+  const query = pool.query.bind(pool);
+  pool.query = async (config, values, callback) => {
+    if (typeof values === 'function' || typeof callback === 'function') {
+      return query(config, values, callback);
+    }
+
+    const sql = typeof config === 'string' ? config : config.text;
+    const params = values || config.values || [];
+    const startedAt = process.hrtime.bigint();
+    try {
+      const result = await query(config, values);
+      logQuery(pool, sql, params, startedAt, { rows: result.rowCount });
+      return result;
+    } catch (error) {
+      logQuery(pool, sql, params, startedAt, { error });
+      throw error;
+    }
+  };
+  return pool;
+};
+
+// Check out a client with the current statement timeout applied. release()
+// resets it before the connection goes back to the pool.
+const connect = async (pool) => {
+  const client = await pool.connect();
+  const { statementTimeout } = getRequestContext();
+  if (!statementTimeout) {
+    return { client, release: async () => client.release() };
+  }
+
+  try {
+    await client.query(`SET statement_timeout = ${parseInt(statementTimeout, 10)}`);
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+
+  return {
+    client,
+    release: async () => {
+      try {
+        await client.query('RESET statement_timeout');
+        client.release();
+      } catch (error) {
+        // Don't hand a connection in an unknown state to the next request
+        client.release(error);
+      }
+    }
+  };
+};
+
+// Helper function to execute a query with error handling
+const safeQuery = async (pool, query, params = []) => {
+  const { client, release } = await connect(pool);
+  const startedAt = process.hrtime.bigint();
+  try {
+    const result = await client.query(query, params);
+    logQuery(pool, query, params, startedAt, { rows: result.rowCount });
+    return result.rows;
+  } catch (error) {
+    logQuery(pool, query, params, startedAt, { error });
+    throw error;
+  } finally {
+    await release();
+  }
+};
+
+module.exports = {
+  withStatementTimeout,
+  fingerprint,
+  getNamedPools,
+  onQuery,
+  instrumentPool,
+  connect,
+  safeQuery
+};
@@ -0,0 +1,83 @@
+// Every error response has the same shape:
+//   { success: false, error: <message>, code: <CODE>, fields?: { <param>: <message> }, details?: {...} }
+// Handlers throw ApiError (or let errors propagate) and errorHandler formats
+// them; unexpected errors are logged and reported as a generic 500.
+
+const { logger } = require('./logger');
+
+// headers are set on the error response, e.g. Retry-After; details are
+// included in the body as they are
+class ApiError extends Error {
+  constructor(status, message, { code = 'ERROR', fields, headers, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.headers = headers;
+    this.details = details;
+  }
+}
+
+// fields: { [param]: message }
+class ValidationError extends ApiError {
+  constructor(fields, message = 'Invalid request parameters') {
+    super(400, message, { code: 'VALIDATION_ERROR', fields });
+  }
+}
+
+const errorBody = ({ message, code, fields, details }) => ({
+  success: false,
+  error: message,
+  code,
+  ...(fields ? { fields } : {}),
+  ...(details ? { details } : {})
+});
+
+const notFoundHandler = (req, res) => {
+  res.status(404).json(errorBody({
+    message: `Route not found: ${req.method} ${req.path}`,
+    code: 'NOT_FOUND'
+  }));
+};
+
+// Postgres cancelled the query, usually the request's statement timeout
+const QUERY_CANCELED = '57014';
+const QUERY_TIMEOUT_RETRY_SECONDS = 30;
+
+// Express only treats four-argument middleware as an error handler
+const errorHandler = (err, req, res, next) => {
+  // A streamed response has already started; Express closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ApiError) {
+    if (err.headers) res.set(err.headers);
+    return res.status(err.status).json(errorBody(err));
+  }
+
+  if (err.code === QUERY_CANCELED) {
+    logger.warn('Query timed out', { method: req.method, path: req.path, error: err.message });
+    res.set('Retry-After', String(QUERY_TIMEOUT_RETRY_SECONDS));
+    return res.status(503).json(errorBody({
+      message: 'The query took too long; narrow the filters or try again later',
+      code: 'QUERY_TIMEOUT'
+    }));
+  }
+
+  // Client errors raised by Express itself, e.g. a malformed JSON body
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).json(errorBody({ message: err.message, code: 'BAD_REQUEST' }));
+  }
+
+  logger.error('Unhandled error', { method: req.method, path: req.path, error: err });
+  res.status(500).json(errorBody({ message: 'Internal server error', code: 'INTERNAL_ERROR' }));
+};
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  errorBody,
+  notFoundHandler,
+  errorHandler
+};
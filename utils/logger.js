@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { getRequestContext, runWithContext } = require('./requestContext');
+
+// Structured logging. Every entry has a time, level and message, the id of
+// the request it belongs to and optional fields. LOG_FORMAT=json writes one
+// JSON object per line (the default with NODE_ENV=production); pretty is for
+// terminals. LOG_LEVEL=debug adds every query and cache lookup.
+// Fields named like credentials are redacted and large values truncated, so
+// tokens, passwords and result sets don't end up in the logs.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const isProduction = process.env.NODE_ENV === 'production';
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || (isProduction ? 'json' : 'pretty');
+
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|api[-_]?key|cookie|key_hash|webhook_url/i;
+const MAX_STRING = 500;
+const MAX_ITEMS = 20;
+const MAX_DEPTH = 5;
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (typeof value === 'string') {
+    return value.length > MAX_STRING ? `${value.slice(0, MAX_STRING)}… (${value.length} chars)` : value;
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return '[…]';
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ITEMS).map(item => redact(item, depth + 1));
+    return value.length > MAX_ITEMS ? [...items, `… ${value.length - MAX_ITEMS} more`] : items;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? '[REDACTED]' : redact(item, depth + 1)
+  ]));
+};
+
+const formatPretty = ({ time, level, msg, request_id, ...fields }) => {
+  const { error, ...rest } = fields;
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  const stack = error && error.stack ? `\n${error.stack}` : (error ? ` ${JSON.stringify(error)}` : '');
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${request_id ? `[${request_id.slice(0, 8)}] ` : ''}${msg}${extra}${stack}`;
+};
+
+// fields may be an object or an Error (logged as { error })
+const write = (level, msg, fields) => {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const { requestId } = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId && { request_id: requestId }),
+    ...redact(fields instanceof Error ? { error: fields } : (fields || {}))
+  };
+
+  const line = LOG_FORMAT === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const logger = {
+  isLevelEnabled: (level) => LEVELS[level] >= LEVELS[LOG_LEVEL],
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Give every request an id (the caller's X-Request-Id when it looks sane),
+// echo it in the response and log one line per request when it is done
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+  // Routers rewrite req.url, so take the path before they run
+  const path = req.path;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, () => {
+    const done = (aborted) => {
+      const fields = {
+        method: req.method,
+        path,
+        query: req.query,
+        status: res.statusCode,
+        duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+        user_id: req.user ? req.user.id : null,
+        ...(aborted && { aborted: true })
+      };
+      if (res.statusCode >= 500) logger.error('request', fields);
+      else if (res.statusCode >= 400 || aborted) logger.warn('request', fields);
+      else logger.info('request', fields);
+    };
+    res.on('finish', () => done(false));
+    res.on('close', () => {
+      if (!res.writableFinished) done(true);
+    });
+    next();
+  });
+};
+
+module.exports = {
+  logger,
+  redact,
+  requestLogger
+};
@@ -0,0 +1,48 @@
+// Shared value parsers for scraped trip records
+
+// Accepts "5h 30m", "5h", "45m", "05:30" or a plain number of minutes
+const parseDurationMinutes = (v) => {
+  if (v === undefined || v === null) return null;
+  const s = String(v).toLowerCase().trim();
+  let total = 0;
+  const h = s.match(/(\d+)\s*h/);
+  const m = s.match(/(\d+)\s*m/);
+  if (h) total += parseInt(h[1], 10) * 60;
+  if (m) total += parseInt(m[1], 10);
+  if (total > 0) return total;
+  const hm = s.match(/^(\d{1,2}):(\d{2})$/);
+  if (hm) {
+    return parseInt(hm[1], 10) * 60 + parseInt(hm[2], 10);
+  }
+  const num = parseInt(s, 10);
+  return Number.isFinite(num) ? num : null;
+};
+
+// Strips thousands separators and whitespace ("1,234.50" -> 1234.5)
+const parsePriceNumber = (v) => {
+  if (v === undefined || v === null) return null;
+  const num = parseFloat(String(v).replace(/[,\s]/g, ''));
+  return Number.isFinite(num) ? num : null;
+};
+
+// Parse datetime safely, PG will accept ISO8601
+const parseTimestamp = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d.getTime()) ? null : d.toISOString();
+};
+
+// YYYY-MM-DD
+const parseDate = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  if (isNaN(d.getTime())) return null;
+  return d.toISOString().split('T')[0];
+};
+
+module.exports = {
+  parseDurationMinutes,
+  parsePriceNumber,
+  parseTimestamp,
+  parseDate
+};
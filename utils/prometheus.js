@@ -0,0 +1,202 @@
+const client = require('prom-client');
+const { getProviders } = require('../config/providers');
+const { cacheStats } = require('./cache');
+const { getNamedPools, onQuery } = require('./db');
+const { logger } = require('./logger');
+
+// Prometheus metrics served at /metrics: HTTP requests per route, cache hits
+// and misses, connection pool usage and query durations per pool, import runs
+// per provider and the default Node.js process metrics. Cache, pool and import
+// values are read when Prometheus scrapes.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const HTTP_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const QUERY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 15, 60];
+const IMPORT_ROW_ACTIONS = ['inserted', 'updated', 'unchanged', 'duplicate', 'rejected'];
+// One scrape reads import_runs once for all import metrics
+const IMPORT_STATS_TTL_MS = 5000;
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by route and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: HTTP_BUCKETS,
+  registers: [register]
+});
+
+// Counters kept by the cache itself, copied on every scrape
+new client.Counter({
+  name: 'cache_hits_total',
+  help: 'Cache lookups that found an entry',
+  registers: [register],
+  collect() {
+    this.reset();
+    this.inc(cacheStats.hits);
+  }
+});
+
+new client.Counter({
+  name: 'cache_misses_total',
+  help: 'Cache lookups that found no entry',
+  registers: [register],
+  collect() {
+    this.reset();
+    this.inc(cacheStats.misses);
+  }
+});
+
+new client.Gauge({
+  name: 'db_pool_connections',
+  help: 'Connections per pool: total open, idle, and requests waiting for one',
+  labelNames: ['pool', 'state'],
+  registers: [register],
+  collect() {
+    this.reset();
+    getNamedPools().forEach((pool, name) => {
+      this.set({ pool: name, state: 'total' }, pool.totalCount);
+      this.set({ pool: name, state: 'idle' }, pool.idleCount);
+      this.set({ pool: name, state: 'waiting' }, pool.waitingCount);
+    });
+  }
+});
+
+new client.Gauge({
+  name: 'db_pool_max_connections',
+  help: 'Configured maximum connections per pool',
+  labelNames: ['pool'],
+  registers: [register],
+  collect() {
+    this.reset();
+    getNamedPools().forEach((pool, name) => this.set({ pool: name }, pool.options.max));
+  }
+});
+
+const queryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Query duration per pool; status is ok or error',
+  labelNames: ['pool', 'status'],
+  buckets: QUERY_BUCKETS,
+  registers: [register]
+});
+
+onQuery(({ pool, durationMs, error }) => {
+  queryDuration.observe({ pool: pool || 'unknown', status: error ? 'error' : 'ok' }, durationMs / 1000);
+});
+
+// Imports run in the CLI, so their counts come from import_runs in each
+// provider database rather than from this process
+async function getProviderImportStats({ name, pool, table }) {
+  const exists = await pool.query(`SELECT to_regclass('import_runs') IS NOT NULL AS exists`);
+  if (!exists.rows[0].exists) return [];
+
+  const result = await pool.query(
+    `SELECT status, COUNT(*) AS runs,
+            SUM(inserted_rows) AS inserted, SUM(updated_rows) AS updated,
+            SUM(unchanged_rows) AS unchanged, SUM(duplicate_rows) AS duplicate,
+            SUM(rejected_rows) AS rejected,
+            EXTRACT(EPOCH FROM MAX(finished_at)) AS last_finished
+     FROM import_runs
+     WHERE provider = $1 AND table_name = $2
+     GROUP BY status`,
+    [name, table]
+  );
+  return result.rows;
+}
+
+let importStats = null;
+const loadImportStats = () => {
+  if (!importStats || Date.now() - importStats.loadedAt > IMPORT_STATS_TTL_MS) {
+    importStats = {
+      loadedAt: Date.now(),
+      promise: Promise.all(getProviders().map(async provider => {
+        try {
+          return [provider.name, await getProviderImportStats(provider)];
+        } catch (error) {
+          logger.warn(`Could not read import runs of ${provider.name}`, { error: error.message });
+          return [provider.name, null];
+        }
+      }))
+    };
+  }
+  return importStats.promise;
+};
+
+new client.Counter({
+  name: 'import_runs_total',
+  help: 'Import runs by provider and status (completed, failed, rolled_back, running)',
+  labelNames: ['provider', 'status'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    (await loadImportStats()).forEach(([provider, rows]) => (rows || []).forEach(row => {
+      this.inc({ provider, status: row.status }, parseInt(row.runs, 10));
+    }));
+  }
+});
+
+new client.Counter({
+  name: 'import_rows_total',
+  help: 'Rows handled by import runs by provider and action',
+  labelNames: ['provider', 'action'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    (await loadImportStats()).forEach(([provider, rows]) => (rows || []).forEach(row => {
+      IMPORT_ROW_ACTIONS.forEach(action => this.inc({ provider, action }, parseInt(row[action], 10) || 0));
+    }));
+  }
+});
+
+new client.Gauge({
+  name: 'import_last_success_timestamp_seconds',
+  help: 'When the last completed import of the provider finished',
+  labelNames: ['provider'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    (await loadImportStats()).forEach(([provider, rows]) => {
+      const completed = (rows || []).find(row => row.status === 'completed');
+      if (completed && completed.last_finished !== null) {
+        this.set({ provider }, parseFloat(completed.last_finished));
+      }
+    });
+  }
+});
+
+// Route templates keep the label set small: /api/watches/:id, not every id.
+// Requests that matched no route (404s, rejected before routing) share one
+// label. req.baseUrl is reset when an error leaves a router, so the mount path
+// is whatever precedes the segments the route matched.
+const routeLabel = (req) => {
+  if (!req.route) return 'unmatched';
+  const segments = req.originalUrl.split('?')[0].replace(/\/+$/, '').split('/');
+  const routePath = req.route.path.replace(/\/+$/, '');
+  const routeSegments = routePath === '' ? 0 : routePath.split('/').length - 1;
+  return `${segments.slice(0, segments.length - routeSegments).join('/')}${routePath}` || '/';
+};
+
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeLabel(req), status: String(res.statusCode) };
+    httpRequests.inc(labels);
+    endTimer(labels);
+  });
+  next();
+};
+
+const getMetrics = async () => ({ contentType: register.contentType, body: await register.metrics() });
+
+module.exports = {
+  httpMetrics,
+  getMetrics
+};
@@ -0,0 +1,172 @@
+const { LRUCache } = require('lru-cache');
+const { getProviders } = require('../config/providers');
+const { getRedis } = require('./cache');
+const { withStatementTimeout } = require('./db');
+const { ApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Token-bucket rate limiting per client and cost class. A client is its API
+// key, else its user, else its IP; each gets one bucket per class holding
+// up to a minute of requests and refilling continuously. Buckets live in the
+// cache's Redis so limits hold across instances, and in-process when Redis
+// is not configured or unreachable. Each class also sets the Postgres
+// statement timeout of the request, and standard/heavy requests are turned
+// away with 503 while the provider pools have a backlog. Failed credentials
+// use up the login class's attempts of the client's IP.
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// perMinute: RATE_LIMIT_<CLASS>, statementTimeoutMs: STATEMENT_TIMEOUT_<CLASS>_MS
+const COST_CLASSES = Object.fromEntries(Object.entries({
+  light: { perMinute: 120, statementTimeoutMs: 5000, shed: false },
+  standard: { perMinute: 60, statementTimeoutMs: 15000, shed: true },
+  heavy: { perMinute: 10, statementTimeoutMs: 60000, shed: true },
+  login: { perMinute: 10, statementTimeoutMs: 5000, shed: false }
+}).map(([name, costClass]) => [name, {
+  ...costClass,
+  perMinute: envInt(`RATE_LIMIT_${name.toUpperCase()}`, costClass.perMinute),
+  statementTimeoutMs: envInt(`STATEMENT_TIMEOUT_${name.toUpperCase()}_MS`, costClass.statementTimeoutMs)
+}]));
+
+const DEFAULT_CLASS = 'standard';
+const POOL_QUEUE_LIMIT = envInt('POOL_QUEUE_LIMIT', 20);
+const OVERLOAD_RETRY_SECONDS = 5;
+const KEY_PREFIX = process.env.RATE_LIMIT_PREFIX || 'travel-api:ratelimit:';
+
+// Refill, then take `cost` tokens if there is at least one; cost 0 only
+// checks. Returns { allowed, tokens } with tokens left after the request.
+const takeToken = (bucket, capacity, now, cost = 1) => {
+  const perMs = capacity / 60000;
+  const tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * perMs);
+  const allowed = tokens >= 1;
+  return { allowed, tokens: allowed ? tokens - cost : tokens };
+};
+
+// A bucket untouched for a minute is full again, so it can be forgotten
+const buckets = new LRUCache({ max: 50000, ttl: 60000 });
+
+const takeLocal = (key, capacity, cost) => {
+  const now = Date.now();
+  const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+  const result = takeToken(bucket, capacity, now, cost);
+  buckets.set(key, { tokens: result.tokens, updatedAt: now });
+  return result;
+};
+
+// The same arithmetic in Redis, atomic and on the Redis clock
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updated_at')
+local tokens = tonumber(bucket[1]) or capacity
+local updated_at = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + (now - updated_at) * capacity / 60000)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated_at', tostring(now))
+redis.call('PEXPIRE', KEYS[1], 60000)
+return { allowed, tostring(tokens) }
+`;
+
+// Log only when Redis goes down or comes back, not on every request
+let redisAvailable = true;
+const markRedis = (error) => {
+  if (error && redisAvailable) {
+    logger.warn(`⚠️ Redis unavailable, rate limiting per instance: ${error.message}`);
+  } else if (!error && !redisAvailable) {
+    logger.info('✅ Redis rate limiting available again');
+  }
+  redisAvailable = !error;
+};
+
+// RATE_LIMIT_BACKEND=memory keeps buckets in-process even with Redis
+const take = async (key, capacity, cost = 1) => {
+  const redis = process.env.RATE_LIMIT_BACKEND === 'memory' ? null : getRedis();
+  if (redis) {
+    try {
+      const [allowed, tokens] = await redis.eval(TAKE_SCRIPT, [`${KEY_PREFIX}${key}`], [capacity, cost]);
+      markRedis();
+      return { allowed: Number(allowed) === 1, tokens: parseFloat(tokens) };
+    } catch (error) {
+      markRedis(error);
+    }
+  }
+  return takeLocal(key, capacity, cost);
+};
+
+const rateLimited = (name, perMinute, tokens) => {
+  const retryAfter = Math.ceil((1 - tokens) * 60 / perMinute);
+  return new ApiError(429, `Rate limit exceeded: ${perMinute} ${name} requests per minute`, {
+    code: 'RATE_LIMITED',
+    headers: { 'Retry-After': String(Math.max(1, retryAfter)) }
+  });
+};
+
+const clientKey = (req) => {
+  if (req.user && req.user.api_key_id) return `key:${req.user.api_key_id}`;
+  if (req.user) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+};
+
+const poolsBacklogged = () => getProviders().some(({ pool }) => pool.waitingCount >= POOL_QUEUE_LIMIT);
+
+// routeClasses maps path prefixes to cost classes, e.g.
+// { '/api/metrics': 'heavy' }; the longest matching prefix wins and other
+// paths are standard
+const rateLimit = (routeClasses) => {
+  const prefixes = Object.keys(routeClasses).sort((a, b) => b.length - a.length);
+
+  return async (req, res, next) => {
+    const prefix = prefixes.find(p => req.path === p || req.path.startsWith(`${p}/`));
+    const name = prefix ? routeClasses[prefix] : DEFAULT_CLASS;
+    const { perMinute, statementTimeoutMs, shed } = COST_CLASSES[name];
+
+    if (shed && poolsBacklogged()) {
+      throw new ApiError(503, 'The database is busy, try again shortly', {
+        code: 'OVERLOADED',
+        headers: { 'Retry-After': String(OVERLOAD_RETRY_SECONDS) }
+      });
+    }
+
+    const { allowed, tokens } = await take(`${name}:${clientKey(req)}`, perMinute);
+    res.set({
+      'RateLimit-Limit': String(perMinute),
+      'RateLimit-Remaining': String(Math.floor(tokens))
+    });
+
+    if (!allowed) throw rateLimited(name, perMinute, tokens);
+
+    withStatementTimeout(statementTimeoutMs, next);
+  };
+};
+
+// Wrap authenticate so failed credentials use up the login attempts of the
+// client's IP. Once they are used up credentials are not checked at all, so
+// guessing API keys or tokens is throttled like guessing passwords.
+const limitAuthFailures = (authenticate) => async (req, res, next) => {
+  if (!req.get('authorization') && !req.get('x-api-key')) return authenticate(req, res, next);
+
+  const { perMinute } = COST_CLASSES.login;
+  const key = `auth_failures:ip:${req.ip}`;
+  const { allowed, tokens } = await take(key, perMinute, 0);
+  if (!allowed) throw rateLimited('login', perMinute, tokens);
+
+  try {
+    await authenticate(req, res, () => {});
+  } catch (error) {
+    if (error instanceof ApiError && error.status === 401) await take(key, perMinute);
+    throw error;
+  }
+  next();
+};
+
+module.exports = {
+  COST_CLASSES,
+  rateLimit,
+  limitAuthFailures
+};
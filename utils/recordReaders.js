@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { pipeline } = require('stream');
+const { parser } = require('stream-json');
+const { streamArray } = require('stream-json/streamers/StreamArray');
+const { parse: parseCsv } = require('csv-parse');
+
+// Record readers stream an input file one record at a time so scrapes far
+// larger than memory can be imported. Each reader is an async generator that
+// yields { index, record } or { index, error } for rows that cannot be parsed.
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+
+const detectFormat = (filePath) => {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+  if (ext === '.csv') return 'csv';
+  return 'json';
+};
+
+// Top-level JSON array: [ {...}, {...} ]
+async function* readJsonArray(filePath) {
+  const stream = pipeline(
+    fs.createReadStream(filePath),
+    parser(),
+    streamArray(),
+    () => {} // errors surface through the async iterator below
+  );
+
+  for await (const { key, value } of stream) {
+    yield { index: key + 1, record: value };
+  }
+}
+
+// One JSON object per line, blank lines ignored
+async function* readNdjson(filePath) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  let index = 0;
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    index++;
+    try {
+      yield { index, record: JSON.parse(line) };
+    } catch (e) {
+      yield { index, error: 'invalid JSON' };
+    }
+  }
+}
+
+// CSV with a header row using the same column names as the JSON exports
+async function* readCsv(filePath) {
+  const stream = pipeline(
+    fs.createReadStream(filePath),
+    parseCsv({ columns: true, bom: true, skip_empty_lines: true, trim: true }),
+    () => {}
+  );
+
+  let index = 0;
+  for await (const record of stream) {
+    index++;
+    yield { index, record };
+  }
+}
+
+const readRecords = (filePath, format = detectFormat(filePath)) => {
+  switch (format) {
+    case 'json': return readJsonArray(filePath);
+    case 'ndjson': return readNdjson(filePath);
+    case 'csv': return readCsv(filePath);
+    default:
+      throw new Error(`Unsupported format "${format}". Use one of: ${FORMATS.join(', ')}`);
+  }
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  readRecords
+};
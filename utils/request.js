@@ -0,0 +1,16 @@
+const { getInrConverter } = require('../services/currency');
+const { ValidationError } = require('./errors');
+
+// Resolve a validated ?currency= code into a converter from INR. Throws a
+// ValidationError when the currency has no rate.
+const resolveCurrency = async (currency = 'INR') => {
+  const convert = await getInrConverter(currency);
+  if (!convert) {
+    throw new ValidationError({ currency: `no exchange rate available from INR to ${currency}` });
+  }
+  return { currency, convert };
+};
+
+module.exports = {
+  resolveCurrency
+};
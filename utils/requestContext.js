@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Values of the request being handled (request id, statement timeout, ...),
+// visible to everything it calls without passing them through arguments.
+// Outside a request (imports, CLIs) the context is empty.
+const storage = new AsyncLocalStorage();
+
+const getRequestContext = () => storage.getStore() || {};
+
+// Run fn with values added to the current context
+const runWithContext = (values, fn) => storage.run({ ...getRequestContext(), ...values }, fn);
+
+module.exports = {
+  getRequestContext,
+  runWithContext
+};
@@ -0,0 +1,113 @@
+const { MODES } = require('../services/transportTypes');
+
+// WHERE conditions shared by the endpoints that accept the /api/combined-trips
+// filters: origin, destination, transport_type and operator_name as
+// comma-separated lists, origin_city/destination_city as canonical city ids,
+// transport_mode and multimodal from the transport taxonomy, travel_date,
+// start_date/end_date and timeline presets.
+
+const TIMELINE_CONDITIONS = {
+  'today': `DATE(travel_date) = CURRENT_DATE`,
+  'tomorrow': `DATE(travel_date) = (CURRENT_DATE + INTERVAL '1 day')`,
+  'next 7 days': `travel_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '7 days')`,
+  'next 14 days': `travel_date BETWEEN CURRENT_DATE AND (CURRENT_DATE + INTERVAL '14 days')`,
+  'this month': `travel_date BETWEEN date_trunc('month', CURRENT_DATE)
+                               AND (date_trunc('month', CURRENT_DATE) + INTERVAL '1 month' - INTERVAL '1 day')`,
+  'next month': `travel_date BETWEEN (date_trunc('month', CURRENT_DATE) + INTERVAL '1 month')
+                               AND (date_trunc('month', CURRENT_DATE) + INTERVAL '2 months' - INTERVAL '1 day')`,
+  'this year': `travel_date BETWEEN date_trunc('year', CURRENT_DATE)
+                               AND (date_trunc('year', CURRENT_DATE) + INTERVAL '1 year' - INTERVAL '1 day')`
+};
+
+// Query schema of the filters, for validate()
+const TRIP_FILTER_QUERY = {
+  origin: { type: 'list' },
+  destination: { type: 'list' },
+  transport_type: { type: 'list' },
+  operator_name: { type: 'list' },
+  origin_city: { type: 'list', items: { type: 'integer', min: 1 } },
+  destination_city: { type: 'list', items: { type: 'integer', min: 1 } },
+  transport_mode: { type: 'list', items: { type: 'enum', values: MODES } },
+  multimodal: { type: 'boolean' },
+  timeline: { type: 'enum', values: Object.keys(TIMELINE_CONDITIONS) },
+  start_date: { type: 'date' },
+  end_date: { type: 'date' },
+  travel_date: { type: 'date' }
+};
+
+// Cross-field rule for validate(): the date range needs both ends in order
+const checkDateRange = ({ start_date, end_date }) => {
+  if (Boolean(start_date) !== Boolean(end_date)) {
+    return { [start_date ? 'end_date' : 'start_date']: 'start_date and end_date must be given together' };
+  }
+  if (start_date && start_date > end_date) {
+    return { end_date: 'must not be before start_date' };
+  }
+  return null;
+};
+
+// Filter values from a validated query, also usable as part of a cache key
+const parseTripFilters = (valid) => ({
+  origins: valid.origin || [],
+  destinations: valid.destination || [],
+  transportTypes: valid.transport_type || [],
+  operatorNames: valid.operator_name || [],
+  originCities: valid.origin_city || [],
+  destinationCities: valid.destination_city || [],
+  transportModes: valid.transport_mode || [],
+  multimodal: valid.multimodal,
+  timeline: valid.timeline,
+  start_date: valid.start_date,
+  end_date: valid.end_date,
+  travel_date: valid.travel_date
+});
+
+// Returns { conditions, params } with placeholders numbered from $1
+const buildTripFilters = (filters) => {
+  const params = [];
+  const conditions = [];
+
+  const addIn = (column, values) => {
+    if (values.length === 0) return;
+    const placeholders = values.map((_, i) => `$${params.length + i + 1}`).join(',');
+    params.push(...values);
+    conditions.push(`(${column} IN (${placeholders}))`);
+  };
+
+  // Use IN clause for multiple exact matches
+  addIn('origin', filters.origins);
+  addIn('destination', filters.destinations);
+  addIn('transport_type', filters.transportTypes);
+  addIn('operator_name', filters.operatorNames);
+  addIn('origin_city_id', filters.originCities);
+  addIn('destination_city_id', filters.destinationCities);
+  addIn('transport_mode', filters.transportModes);
+
+  if (filters.multimodal !== undefined) {
+    params.push(filters.multimodal);
+    conditions.push(`transport_multimodal = $${params.length}`);
+  }
+
+  if (filters.travel_date) {
+    params.push(filters.travel_date);
+    conditions.push(`DATE(travel_date) = $${params.length}`);
+  }
+
+  if (filters.start_date && filters.end_date) {
+    // If we have both start_date and end_date, use them for travel_date filtering
+    params.push(filters.start_date, filters.end_date);
+    conditions.push(`travel_date BETWEEN $${params.length - 1} AND $${params.length}`);
+  } else if (filters.timeline) {
+    // Otherwise, use the timeline presets
+    conditions.push(TIMELINE_CONDITIONS[filters.timeline]);
+  }
+
+  return { conditions, params };
+};
+
+module.exports = {
+  TRIP_FILTER_QUERY,
+  checkDateRange,
+  parseTripFilters,
+  buildTripFilters
+};
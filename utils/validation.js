@@ -0,0 +1,166 @@
+const { getProvider, getProviders, getProviderNames } = require('../config/providers');
+const { ValidationError } = require('./errors');
+
+// Declarative validation of path, query and JSON body parameters:
+//
+//   app.get('/api/:provider/trips', validate({
+//     params: { provider: { type: 'provider' } },
+//     query: { page: { type: 'integer', min: 1, default: 1 } },
+//     check: (valid) => (...) // optional cross-field rules, returns { field: message }
+//   }), handler)
+//
+// Parsed values of all three are merged into req.valid. All failures are
+// reported together as one ValidationError with a message per field. Empty
+// values count as absent; unknown parameters are ignored. Body values may be
+// JSON numbers or booleans, and lists may be JSON arrays, whose items are
+// taken whole even when they contain commas.
+
+class FieldError extends Error {}
+
+const inRange = (value, { min, max }) => {
+  if (min !== undefined && value < min) throw new FieldError(`must be at least ${min}`);
+  if (max !== undefined && value > max) throw new FieldError(`must be at most ${max}`);
+  return value;
+};
+
+// YYYY-MM-DD or DD-MM-YYYY of a real calendar day, returned as YYYY-MM-DD
+const parseCalendarDate = (value) => {
+  const ymd = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const dmy = String(value).match(/^(\d{2})-(\d{2})-(\d{4})$/);
+  const [year, month, day] = ymd ? ymd.slice(1) : dmy ? [dmy[3], dmy[2], dmy[1]] : [];
+  if (!year) return null;
+
+  const iso = `${year}-${month}-${day}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(iso) ? iso : null;
+};
+
+const TYPES = {
+  string: (value, { maxLength = 200 }) => {
+    if (value.length > maxLength) throw new FieldError(`must be at most ${maxLength} characters`);
+    return value;
+  },
+
+  integer: (value, rule) => {
+    if (!/^-?\d+$/.test(value)) throw new FieldError('must be an integer');
+    return inRange(parseInt(value, 10), rule);
+  },
+
+  number: (value, rule) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new FieldError('must be a number');
+    return inRange(number, rule);
+  },
+
+  boolean: (value) => {
+    if (['true', '1'].includes(value.toLowerCase())) return true;
+    if (['false', '0'].includes(value.toLowerCase())) return false;
+    throw new FieldError('must be true or false');
+  },
+
+  // Matches case-insensitively and returns the value as listed
+  enum: (value, { values }) => {
+    const match = values.find(v => v.toLowerCase() === value.toLowerCase());
+    if (match === undefined) throw new FieldError(`must be one of: ${values.join(', ')}`);
+    return match;
+  },
+
+  date: (value) => {
+    const date = parseCalendarDate(value);
+    if (!date) throw new FieldError('must be a valid date (YYYY-MM-DD or DD-MM-YYYY)');
+    return date;
+  },
+
+  currency: (value) => {
+    if (!/^[A-Za-z]{3}$/.test(value)) throw new FieldError('must be a three-letter currency code');
+    return value.toUpperCase();
+  },
+
+  // Comma-separated values, or the items of a body array, each parsed with
+  // the `items` rule
+  list: (value, { items = { type: 'string' }, maxItems = 50 }) => {
+    const values = (Array.isArray(value) ? value.map(String) : value.split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+    if (values.length > maxItems) throw new FieldError(`must have at most ${maxItems} values`);
+    return values.map(item => {
+      try {
+        return TYPES[items.type](item, items);
+      } catch (error) {
+        if (error instanceof FieldError) throw new FieldError(`value "${item}" ${error.message}`);
+        throw error;
+      }
+    });
+  },
+
+  // A configured provider, returned as its registry entry
+  provider: (value) => {
+    const provider = getProvider(value);
+    if (!provider) throw new FieldError(`must be one of: ${getProviderNames().join(', ')}`);
+    return provider;
+  },
+
+  // Comma-separated providers as registry entries; defaults to all of them
+  providers: (value) => {
+    const names = value.split(',').map(name => name.trim()).filter(Boolean);
+    const unknown = names.filter(name => !getProvider(name));
+    if (unknown.length > 0) {
+      throw new FieldError(`unknown provider "${unknown[0]}"; use any of: ${getProviderNames().join(', ')}`);
+    }
+    return [...new Set(names.map(name => getProvider(name)))];
+  }
+};
+
+const parseField = (raw, rule, location) => {
+  const isList = rule.type === 'list' || rule.type === 'providers';
+  if (Array.isArray(raw)) {
+    if (!isList) throw new FieldError('must be given only once');
+    const items = raw.filter(item => item !== null && String(item).trim() !== '');
+    if (location === 'body' && rule.type === 'list' && items.length > 0) {
+      return TYPES.list(items, rule);
+    }
+    raw = items.join(',');
+  }
+
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    if (rule.required) throw new FieldError('is required');
+    if (rule.default !== undefined) {
+      return typeof rule.default === 'function' ? rule.default() : rule.default;
+    }
+    return rule.type === 'providers' ? getProviders() : undefined;
+  }
+
+  return TYPES[rule.type](String(raw).trim(), rule);
+};
+
+const validate = (schema) => (req, res, next) => {
+  const valid = {};
+  const fields = {};
+
+  ['params', 'query', 'body'].forEach(location => {
+    Object.entries(schema[location] || {}).forEach(([name, rule]) => {
+      try {
+        const value = parseField((req[location] || {})[name], rule, location);
+        if (value !== undefined) valid[name] = value;
+      } catch (error) {
+        if (!(error instanceof FieldError)) throw error;
+        fields[name] = error.message;
+      }
+    });
+  });
+
+  if (Object.keys(fields).length === 0 && schema.check) {
+    Object.assign(fields, schema.check(valid) || {});
+  }
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(fields);
+  }
+
+  req.valid = valid;
+  next();
+};
+
+module.exports = {
+  parseCalendarDate,
+  validate
+};